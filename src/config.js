@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE_NAMES = ['figma-export.config.js', 'figma-export.config.json'];
+const SOURCE_COMMANDS = ['content', 'variables', 'icons', 'images', 'markup', 'lint', 'components'];
+
+/**
+ * Loads project config: explicit path or figma-export.config.(js|json) from the working directory
+ * @param {string} [configPath] - Path to config file
+ * @returns {{ path: string, sources: Object[] } | null} Normalized config or null if there is no config file
+ */
+function loadConfig(configPath) {
+  const filePath = configPath
+    ? path.resolve(configPath)
+    : CONFIG_FILE_NAMES.map((fileName) => path.resolve(fileName)).find((filePath) => fs.existsSync(filePath));
+  if (!filePath) {
+    return null;
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+  const rawConfig = filePath.endsWith('.json') ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : require(filePath);
+  return normalizeConfig(rawConfig, filePath);
+}
+
+// Top-level settings are shared defaults for every source, each source gets its own cache directory
+function normalizeConfig(rawConfig, filePath) {
+  const { sources, ...defaults } = rawConfig || {};
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error(`Config file ${filePath} should declare at least one source in "sources"`);
+  }
+  const baseCacheDir = process.env.FILE_CACHE_OUTPUT_DIR || './output';
+  const names = [];
+  const normalizedSources = sources.map((source, index) => {
+    const name = source.name || `source${index + 1}`;
+    if (names.includes(name)) {
+      throw new Error(`Duplicate source name '${name}' in ${filePath}`);
+    }
+    names.push(name);
+    const normalized = {
+      ...defaults,
+      ...source,
+      name,
+      cacheDir: source.cacheDir || `${baseCacheDir}/${name}`,
+      commands: source.commands || {},
+    };
+    if (!normalized.url && !process.env.FIGMA_FILE_URL) {
+      throw new Error(`Source '${name}' in ${filePath} has no "url" and FIGMA_FILE_URL is not set`);
+    }
+    for (const command of Object.keys(normalized.commands)) {
+      if (!SOURCE_COMMANDS.includes(command)) {
+        console.warn(`[figma-export-tool] Warning: Unknown command '${command}' in source '${name}', ignored.`);
+      }
+    }
+    return normalized;
+  });
+  return { path: filePath, sources: normalizedSources };
+}
+
+module.exports = {
+  loadConfig,
+  SOURCE_COMMANDS,
+};
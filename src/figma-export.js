@@ -1,79 +1,221 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
 const { Command } = require('commander');
 const url = require('url');
 const v8 = require('v8');
 
-const program = new Command();
+const { loadConfig } = require('./config');
+const { createFigmaClient } = require('./figma-client');
+const { sanitize } = require('./sanitize');
+const { exportMarkup } = require('./markup');
 
-const FIGMA_API_URL = 'https://api.figma.com';
-const FIGMA_API_TOKEN = process.env.FIGMA_API_TOKEN;
-const FIGMA_FILE_URL = process.env.FIGMA_FILE_URL;
-const FILE_CACHE_OUTPUT_DIR = process.env.FILE_CACHE_OUTPUT_DIR || './output';
-const IMAGES_OUTPUT_DIR = process.env.IMAGES_OUTPUT_DIR || './output/img';
-const STYLES_OUTPUT_DIR = process.env.STYLES_OUTPUT_DIR || './output/scss';
-const ICONS_SPRITE = process.env.ICONS_SPRITE || 'icon_sprite';
+const program = new Command();
 
-if (!FIGMA_API_TOKEN || !FIGMA_FILE_URL) {
-  console.error('Please provide FIGMA_API_TOKEN and FIGMA_FILE_URL in your .env file');
-  process.exit(1);
-}
+// Settings below come from .env and are switched per source when a project config file is used
+let FIGMA_API_TOKEN = process.env.FIGMA_API_TOKEN;
+let FIGMA_FILE_URL = process.env.FIGMA_FILE_URL;
+let FILE_CACHE_OUTPUT_DIR = process.env.FILE_CACHE_OUTPUT_DIR || './output';
+let IMAGES_OUTPUT_DIR = process.env.IMAGES_OUTPUT_DIR || './output/img';
+let STYLES_OUTPUT_DIR = process.env.STYLES_OUTPUT_DIR || './output/scss';
+let ICONS_SPRITE = process.env.ICONS_SPRITE || 'icon_sprite';
+let FIGMA_FILE_ID = null;
+let FIGMA_NODE_ID = null;
+let figmaClient = null;
+let projectConfig = null;
+let currentSource = null;
+// Settings passed in CLI (API URL, proxy, timeout, record/replay directory, node scoping) override the ones of sources
+let cliOverrides = {};
 
-const extractFileId = (fileUrl) => {
+/**
+ * Parses Figma file URL: /file/, /design/ or /proto/ links, optionally of a branch and with node-id param
+ * @param {string} fileUrl - e.g. https://www.figma.com/design/{fileKey}/branch/{branchKey}/Name?node-id=12-34
+ * @returns {{ fileKey: string, branchKey: string|null, nodeId: string|null }} Node id uses API format (12:34)
+ */
+function parseFigmaUrl(fileUrl) {
+  let parsedUrl;
   try {
-    const parsedUrl = new url.URL(fileUrl);
-    const pathSegments = parsedUrl.pathname.split('/');
-    return pathSegments[2]; // Assuming the format of the path is /file/{fileId}/
+    parsedUrl = new url.URL(fileUrl);
   } catch (error) {
     throw new Error('Invalid Figma file URL');
   }
-};
+  const match = /^\/(?:file|design|proto)\/([^/]+)(?:\/branch\/([^/]+))?/.exec(parsedUrl.pathname);
+  if (!match) {
+    throw new Error(`Invalid Figma file URL: ${fileUrl}, expected https://www.figma.com/design/{fileKey}/...`);
+  }
+  // Links use dashes in node ids (12-34), API expects colons (12:34)
+  const nodeId = parsedUrl.searchParams.get('node-id');
+  return { fileKey: match[1], branchKey: match[2] || null, nodeId: nodeId ? nodeId.replace(/-/g, ':') : null };
+}
+
+// Switch current settings to the config source, values missing in the source fall back to .env
+function useSource(source = {}) {
+  if (currentSource === source) {
+    return;
+  }
+  currentSource = source;
+  FIGMA_API_TOKEN = source.token || process.env.FIGMA_API_TOKEN;
+  FIGMA_FILE_URL =
+    source.url || (source.fileKey ? `https://www.figma.com/file/${source.fileKey}/` : process.env.FIGMA_FILE_URL);
+  FILE_CACHE_OUTPUT_DIR = source.cacheDir || process.env.FILE_CACHE_OUTPUT_DIR || './output';
+  IMAGES_OUTPUT_DIR = source.imagesDir || process.env.IMAGES_OUTPUT_DIR || './output/img';
+  STYLES_OUTPUT_DIR = source.stylesDir || process.env.STYLES_OUTPUT_DIR || './output/scss';
+  ICONS_SPRITE = source.iconsSprite || process.env.ICONS_SPRITE || 'icon_sprite';
+  const http = { ...source, ...cliOverrides };
+  // Recorded responses are served without the token
+  if ((!FIGMA_API_TOKEN && !http.replay) || !FIGMA_FILE_URL) {
+    throw new Error(
+      'Please provide FIGMA_API_TOKEN and FIGMA_FILE_URL in your .env file (token and url options for API)',
+    );
+  }
+  // Branch key is used by the API in place of the file key. Links copied in Figma usually have node-id,
+  // so exports are scoped to it only on request.
+  const { fileKey, branchKey, nodeId } = parseFigmaUrl(FIGMA_FILE_URL);
+  const scopeNode = http.scopeNode !== undefined ? http.scopeNode : process.env.FIGMA_SCOPE_NODE === 'true';
+  FIGMA_FILE_ID = branchKey || fileKey;
+  FIGMA_NODE_ID = scopeNode ? nodeId : null;
+  if (scopeNode && !nodeId) {
+    console.warn('[figma-export-tool] Warning: Figma file URL has no node-id parameter, the whole file is exported.');
+  }
+  figmaClient = createFigmaClient({
+    baseUrl: http.apiUrl || process.env.FIGMA_API_URL,
+    token: FIGMA_API_TOKEN,
+    proxy: http.proxy || process.env.FIGMA_PROXY,
+    timeout: Number(http.timeout || process.env.FIGMA_TIMEOUT || 0),
+    retries: Number(http.retries !== undefined ? http.retries : process.env.FIGMA_RETRIES || 3),
+    record: http.record,
+    replay: http.replay,
+  });
+  fileDataCache = null;
+  fileDataFromApi = false;
+  fileVersionCache = null;
+}
 
-const FIGMA_FILE_ID = extractFileId(FIGMA_FILE_URL);
 let fileDataCache = null;
+let fileDataFromApi = false; // file was downloaded during this run, so forceUpdate can reuse it
+let fileVersionCache = null;
+
+// Cheap metadata request (document without pages content) to find out the current file version
+async function fetchFileVersion() {
+  if (!fileVersionCache) {
+    fileVersionCache = figmaClient
+      .api(`/v1/files/${FIGMA_FILE_ID}`, { params: { depth: 1 } })
+      .then((response) => ({ version: response.data.version, lastModified: response.data.lastModified }));
+    fileVersionCache.catch(() => {
+      fileVersionCache = null;
+    });
+  }
+  return fileVersionCache;
+}
 
-// Function to fetch Figma file - reads from local cache unless forceUpdate is true or cache is missing
+// Cache metadata (file version and modification date) is stored next to the cached data
+function readCacheMeta(metaPath) {
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeCacheMeta(metaPath, { version, lastModified }) {
+  try {
+    fs.writeFileSync(metaPath, JSON.stringify({ version, lastModified, fetchedAt: new Date().toISOString() }, null, 2));
+  } catch (err) {
+    console.warn('[figma-export-tool] Warning: Failed to write cache metadata file.', err.message);
+  }
+}
+
+// Compare cached version with the current one; if the check itself fails, the cache is trusted
+async function isCacheUpToDate(meta) {
+  if (!meta || !meta.version) return false;
+  try {
+    const current = await fetchFileVersion();
+    if (current.version === meta.version) {
+      console.log(`[figma-export-tool] Local cache is up to date (version ${meta.version})`);
+      return true;
+    }
+    console.log(`[figma-export-tool] Figma file has changed (version ${meta.version} -> ${current.version})`);
+    return false;
+  } catch (err) {
+    console.warn('[figma-export-tool] Warning: Failed to check Figma file version, using local cache.', err.message);
+    return true;
+  }
+}
+
+// Function to fetch Figma file - reads from local cache if it matches the current file version.
+// forceUpdate always downloads the file, offline never touches the network.
+// With frames only subtrees of these pages or top-level frames are fetched, see fetchFigmaFrames,
+// masterComponents adds master components of their instances defined elsewhere in the file.
+// With node scoping enabled and node-id in the file URL only the subtree of that node is fetched.
 async function fetchFigmaFile({
   forceUpdate = false,
+  offline = false,
+  frames,
+  masterComponents = false,
   cachePath = `${FILE_CACHE_OUTPUT_DIR}/figmaFileContent.json`,
   rawFilePath = `${FILE_CACHE_OUTPUT_DIR}/figmaFileContent.v8`,
+  metaPath = `${FILE_CACHE_OUTPUT_DIR}/figmaFileContent.meta.json`,
 } = {}) {
-  if (!forceUpdate) {
+  if (fileDataCache && (!forceUpdate || fileDataFromApi)) {
+    return fileDataCache;
+  }
+  // Scoped data is kept for the run instead of the whole file, it never replaces the file cache
+  if (FIGMA_NODE_ID) {
+    fileDataCache = await fetchScopedFigmaFile(FIGMA_NODE_ID, { forceUpdate, offline });
+    fileDataFromApi = forceUpdate;
+    return fileDataCache;
+  }
+  if (frames && frames.length > 0) {
+    const framesData = await fetchFigmaFrames(frames, { forceUpdate, offline, masterComponents });
+    if (framesData) {
+      return framesData;
+    }
+  }
+  if (!forceUpdate || offline) {
     // Try to read from local cache file
+    let cachedData = null;
     try {
       if (fs.existsSync(rawFilePath)) {
         const rawBuffer = fs.readFileSync(rawFilePath);
-        const deserialized = v8.deserialize(rawBuffer);
+        cachedData = v8.deserialize(rawBuffer);
         console.log(`[figma-export-tool] Loaded Figma file from binary cache: ${rawFilePath}`);
-        return deserialized;
       } else if (fs.existsSync(cachePath)) {
-        const cachedData = fs.readFileSync(cachePath, 'utf-8');
-        fileDataCache = JSON.parse(cachedData);
+        cachedData = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
         console.log(`[figma-export-tool] Loaded Figma file from local JSON: ${cachePath}`);
-        return fileDataCache;
       }
     } catch (err) {
       console.warn('[figma-export-tool] Warning: Failed to read local cache, will fetch from API.', err.message);
     }
+    if (offline) {
+      if (!cachedData) {
+        throw new Error(`No local cache found in offline mode: ${rawFilePath}`);
+      }
+      fileDataCache = cachedData;
+      return fileDataCache;
+    }
+    // Caches written before metadata files existed still carry the version in the dump itself
+    const meta = readCacheMeta(metaPath) || (cachedData && { version: cachedData.version });
+    if (cachedData && (await isCacheUpToDate(meta))) {
+      fileDataCache = cachedData;
+      return fileDataCache;
+    }
   }
-  // If forceUpdate or cache missing, fetch from API
+  // If forceUpdate, cache missing or outdated, fetch from API
   try {
     console.log('[figma-export-tool] Fetching Figma file from API...');
-    const response = await axios.get(`${FIGMA_API_URL}/v1/files/${FIGMA_FILE_ID}`, {
-      headers: {
-        'X-Figma-Token': FIGMA_API_TOKEN,
-      },
-    });
+    const response = await figmaClient.api(`/v1/files/${FIGMA_FILE_ID}`);
     fileDataCache = response.data;
+    fileDataFromApi = true;
     // Save to cache file
     console.log('[figma-export-tool] Retrieved file data, preparing to save...');
     try {
+      fs.mkdirSync(FILE_CACHE_OUTPUT_DIR, { recursive: true });
       const binary = v8.serialize(fileDataCache);
       fs.writeFileSync(rawFilePath, binary);
       console.log(`[figma-export-tool] Saved Figma file to binary cache: ${rawFilePath}`);
+      writeCacheMeta(metaPath, fileDataCache);
     } catch (err) {
       console.warn('[figma-export-tool] Warning: Failed to write binary cache file.', err.message);
     }
@@ -83,445 +225,2074 @@ async function fetchFigmaFile({
   }
 }
 
-// Universal function to sanitize a name with any separator
-function sanitize(name, sep) {
-  return name
-    .toLowerCase()
-    .replace(/[ \/\\#&,+()$~%.'":*?<>{}-]/g, sep) // All special characters and hyphens replaced with sep
-    .replace(new RegExp(sep + '+', 'g'), sep) // Multiple sep replaced with one
-    .replace(new RegExp('^' + sep + '|' + sep + '$', 'g'), ''); // Removing sep at the beginning and end
+// Lightweight index of the file (pages with their top-level frames, depth=2) cached per file version
+async function fetchFileIndex({ forceUpdate = false, offline = false } = {}) {
+  const indexPath = `${FILE_CACHE_OUTPUT_DIR}/figmaFileIndex.json`;
+  const cachedIndex = readCacheMeta(indexPath);
+  if (cachedIndex && (offline || (!forceUpdate && (await isCacheUpToDate(cachedIndex))))) {
+    return cachedIndex;
+  }
+  if (offline) {
+    return null;
+  }
+  console.log('[figma-export-tool] Fetching Figma file index from API...');
+  const response = await figmaClient.api(`/v1/files/${FIGMA_FILE_ID}`, { params: { depth: 2 } });
+  try {
+    fs.mkdirSync(FILE_CACHE_OUTPUT_DIR, { recursive: true });
+    fs.writeFileSync(indexPath, JSON.stringify(response.data));
+  } catch (err) {
+    console.warn('[figma-export-tool] Warning: Failed to write file index cache.', err.message);
+  }
+  return response.data;
 }
 
-program.name('figma-export-tool').description('A CLI tool to export Figma file content and variables').version('1.0.0');
-
-program
-  .command('content')
-  .description('Export the Figma file content to a JSON file')
-  .option('-o, --output <type>', 'Output directory')
-  .option('-n, --name <type>', 'Name of output file', 'figmaFileContent')
-  .action(async (cmd) => {
-    await exportContent({ output: cmd.output, name: cmd.name });
+/**
+ * Fetches subtrees of pages or top-level frames with the nodes endpoint instead of the whole file
+ * @param {string[]} names - Page or top-level frame names
+ * @param {{ forceUpdate?: boolean, offline?: boolean, masterComponents?: boolean }} options
+ * @returns {Promise<Object|null>} File data with the index merged with subtrees, null if the whole file is needed
+ */
+async function fetchFigmaFrames(names, { forceUpdate = false, offline = false, masterComponents = false } = {}) {
+  const index = await fetchFileIndex({ forceUpdate, offline }).catch((error) => {
+    throw new Error(`Error fetching file index: ${error.message}`);
   });
+  if (!index) return null;
+  const ids = [];
+  for (const name of names) {
+    const pages = index.document.children || [];
+    const found = pages.flatMap((page) => [page, ...(page.children || [])]).filter((node) => node.name === name);
+    if (found.length === 0) {
+      console.log(`[figma-export-tool] '${name}' is not a page or top-level frame, using the whole file`);
+      return null;
+    }
+    ids.push(...found.map((node) => node.id));
+  }
+  const nodes = await fetchFigmaNodes(index, ids, { forceUpdate, offline });
+  if (!nodes) return null;
+  const merged = mergeFigmaNodes(index, nodes);
+  return masterComponents ? fetchMasterComponents(merged, { forceUpdate, offline }) : merged;
+}
 
-async function exportContent({ output = FILE_CACHE_OUTPUT_DIR, name = 'figmaFileContent' } = {}) {
-  console.log('Exporting file content...');
-
-  if (!fs.existsSync(output)) {
-    fs.mkdirSync(output, { recursive: true });
+// Add paths of another document (e.g. requested with the ids param) to the tree, nodes are matched by id
+function mergeDocumentPaths(node, other) {
+  if (!other.children) return node;
+  const children = [...(node.children || [])];
+  for (const child of other.children) {
+    const index = children.findIndex((item) => item.id === child.id);
+    if (index === -1) {
+      children.push(child);
+    } else {
+      children[index] = mergeDocumentPaths(children[index], child);
+    }
   }
-  try {
-    const fileData = await fetchFigmaFile({
-      forceUpdate: true,
-      cachePath: `${output}/${name}`,
-    });
-    const jsonFilePath = `${output}/${name}.json`;
-    try {
-      fs.writeFileSync(jsonFilePath, JSON.stringify(fileData, null, 2));
-      console.log(`Figma file content saved to: ${jsonFilePath}`);
-    } catch (err) {
-      // Fallback to binary if JSON is too large to stringify
-      const binPath = `${output}/${name}.v8`;
+  return { ...node, children };
+}
+
+/**
+ * Adds master components of instances that are defined outside of the fetched subtrees, e.g. on the icons page.
+ * They are requested with the ids param of the file endpoint, which also returns their ancestors,
+ * so parent frames (used by markup to detect icons) are kept. Components found this way are cached
+ * in nodes/masterComponents.json for the file version.
+ * @param {Object} fileData - File data with merged subtrees
+ * @param {{ forceUpdate?: boolean, offline?: boolean }} options
+ * @returns {Promise<Object|null>} File data with master components, null if they are not cached in offline mode
+ */
+async function fetchMasterComponents(fileData, { forceUpdate = false, offline = false } = {}) {
+  const cachePath = `${FILE_CACHE_OUTPUT_DIR}/nodes/masterComponents.json`;
+  let cached = forceUpdate && !offline ? null : readCacheMeta(cachePath);
+  if (cached && !offline && cached.version !== fileData.version) cached = null;
+  let result = fileData;
+  const added = new Set();
+  // Master components can have instances of other components, so the lookup is repeated for them
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const ids = new Set();
+    const componentIds = new Set();
+    const collect = (node, depth) => {
+      // Top-level nodes of the index come without children, a component there is fetched too
+      if (depth !== 2 || node.children) ids.add(node.id);
+      if (node.type === 'INSTANCE' && node.componentId) componentIds.add(node.componentId);
+      (node.children || []).forEach((child) => collect(child, depth + 1));
+    };
+    collect(result.document, 0);
+    const missing = [...componentIds].filter((id) => !ids.has(id) && !added.has(id));
+    if (missing.length === 0) break;
+    if (!cached || missing.some((id) => !cached.ids.includes(id))) {
+      if (offline) return null;
+      let response;
       try {
-        const binary = v8.serialize(fileData);
-        fs.writeFileSync(binPath, binary);
-        console.warn(`[figma-export-tool] JSON export too large; saved binary instead: ${binPath}`);
-      } catch (binErr) {
-        throw binErr;
+        console.log(
+          `[figma-export-tool] Fetching ${missing.length} master component(s) from API: ${missing.join(', ')}`,
+        );
+        response = await figmaClient.api(`/v1/files/${FIGMA_FILE_ID}`, { params: { ids: missing.join(',') } });
+      } catch (error) {
+        throw new Error(`Error fetching master components: ${error.message}`);
       }
+      cached = {
+        version: fileData.version,
+        ids: [...new Set([...(cached ? cached.ids : []), ...missing])],
+        document: cached ? mergeDocumentPaths(cached.document, response.data.document) : response.data.document,
+        components: { ...(cached && cached.components), ...response.data.components },
+        componentSets: { ...(cached && cached.componentSets), ...response.data.componentSets },
+      };
+      fs.mkdirSync(`${FILE_CACHE_OUTPUT_DIR}/nodes`, { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify(cached));
     }
-  } catch (error) {
-    console.error('Error:', error.message);
-    process.exit(1);
+    result = {
+      ...result,
+      document: mergeDocumentPaths(result.document, cached.document),
+      components: { ...cached.components, ...result.components },
+      componentSets: { ...cached.componentSets, ...result.componentSets },
+    };
+    missing.forEach((id) => added.add(id));
   }
+  return result;
 }
 
-program
-  .command('variables')
-  .description('Extract variables from the Figma file and save them as a JSON and stylesheet')
-  .option('-o, --output <type>', 'Output directory')
-  .option('-n, --name <type>', 'Name of output JSON file', 'variables.json')
-  .option('-u, --update', 'Force update from Figma API, ignore local cache')
-  .option('-c, --css', 'Render CSS code instead of SCSS')
-  .action(async (cmd) => {
-    await exportVariables({
-      output: cmd.output,
-      name: cmd.name,
-      forceUpdate: !!cmd.update,
-      css: cmd.css,
-    });
+// File scoped to the node-id of the file URL: the document has only the node (in its page if it is a top-level frame)
+async function fetchScopedFigmaFile(nodeId, { forceUpdate = false, offline = false } = {}) {
+  const index = await fetchFileIndex({ forceUpdate, offline }).catch((error) => {
+    throw new Error(`Error fetching file index: ${error.message}`);
   });
+  const nodes = index && (await fetchFigmaNodes(index, [nodeId], { forceUpdate, offline }));
+  if (!nodes) {
+    throw new Error(`No local cache of node ${nodeId} found in offline mode`);
+  }
+  console.log(`[figma-export-tool] Exports are scoped to node ${nodeId} of the file URL`);
+  const node = nodes[nodeId].document;
+  const page = (index.document.children || []).find((item) =>
+    (item.children || []).some((child) => child.id === nodeId),
+  );
+  const merged = mergeFigmaNodes(index, nodes);
+  merged.document = { ...index.document, children: [page ? { ...page, children: [node] } : node] };
+  return merged;
+}
 
-async function exportVariables({ output, name = 'variables.json', forceUpdate = false, css = false } = {}) {
-  console.log('Exporting variables...');
-  if (!output) {
-    output = FILE_CACHE_OUTPUT_DIR;
-    scssOutput = STYLES_OUTPUT_DIR;
-  } else {
-    scssOutput = output;
+/**
+ * Fetches subtrees with the nodes endpoint, every subtree is cached in the nodes directory of the cache
+ * and fetched again when the file version changes
+ * @param {Object} index - File index with the current version
+ * @param {string[]} ids - Node ids
+ * @param {{ forceUpdate?: boolean, offline?: boolean }} options
+ * @returns {Promise<Object|null>} Map of node id to nodes endpoint data, null if some node is not cached in offline mode
+ */
+async function fetchFigmaNodes(index, ids, { forceUpdate = false, offline = false } = {}) {
+  const nodesDir = `${FILE_CACHE_OUTPUT_DIR}/nodes`;
+  const nodePath = (id) => `${nodesDir}/${id.replace(/[^\w-]/g, '_')}.json`;
+  const nodes = {};
+  const missing = [];
+  for (const id of ids) {
+    const cachedNode = readCacheMeta(nodePath(id));
+    if (cachedNode && (offline || (!forceUpdate && cachedNode.version === index.version))) {
+      nodes[id] = cachedNode;
+    } else {
+      missing.push(id);
+    }
   }
-  if (!fs.existsSync(output)) {
-    fs.mkdirSync(output, { recursive: true });
+  if (missing.length === 0) {
+    console.log(`[figma-export-tool] Loaded ${ids.length} node(s) from cache: ${ids.join(', ')}`);
+    return nodes;
   }
-  if (!fs.existsSync(scssOutput)) {
-    fs.mkdirSync(scssOutput, { recursive: true });
+  if (offline) return null;
+  let response;
+  try {
+    console.log(`[figma-export-tool] Fetching ${missing.length} node(s) from API: ${missing.join(', ')}`);
+    response = await figmaClient.api(`/v1/files/${FIGMA_FILE_ID}/nodes`, { params: { ids: missing.join(',') } });
+  } catch (error) {
+    throw new Error(`Error fetching nodes data: ${error.message}`);
+  }
+  fs.mkdirSync(nodesDir, { recursive: true });
+  for (const id of missing) {
+    if (!response.data.nodes || !response.data.nodes[id]) {
+      throw new Error(`Node ${id} not found in the Figma file`);
+    }
+    nodes[id] = { ...response.data.nodes[id], version: index.version };
+    fs.writeFileSync(nodePath(id), JSON.stringify(nodes[id]));
   }
+  return nodes;
+}
 
-  function extractVariables(node, idMap) {
-    const paletteVars = {};
-    const typekitVars = {};
+// Put fetched subtrees in place of their stubs in the file index, components metadata of subtrees is merged too
+function mergeFigmaNodes(index, nodes) {
+  const replace = (node) => {
+    if (nodes[node.id]) return nodes[node.id].document;
+    return node.children ? { ...node, children: node.children.map(replace) } : node;
+  };
+  const merged = {
+    ...index,
+    document: replace(index.document),
+    components: { ...index.components },
+    componentSets: { ...index.componentSets },
+    styles: { ...index.styles },
+  };
+  for (const node of Object.values(nodes)) {
+    Object.assign(merged.components, node.components);
+    Object.assign(merged.componentSets, node.componentSets);
+    Object.assign(merged.styles, node.styles);
+  }
+  return merged;
+}
 
-    function traverse(node, parentName = '') {
-      if (node.visible === false) {
-        return; // Skip invisible nodes
+// Function to fetch local variables of the Figma file - reads from local cache if it matches the current file version
+async function fetchFigmaVariables({
+  forceUpdate = false,
+  offline = false,
+  cachePath = `${FILE_CACHE_OUTPUT_DIR}/figmaVariables.json`,
+  metaPath = `${FILE_CACHE_OUTPUT_DIR}/figmaVariables.meta.json`,
+} = {}) {
+  if (!forceUpdate || offline) {
+    let cachedData = null;
+    try {
+      if (fs.existsSync(cachePath)) {
+        cachedData = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+        console.log(`[figma-export-tool] Loaded Figma variables from local JSON: ${cachePath}`);
+      }
+    } catch (err) {
+      console.warn(
+        '[figma-export-tool] Warning: Failed to read local variables cache, will fetch from API.',
+        err.message,
+      );
+    }
+    if (offline) {
+      if (!cachedData) {
+        throw new Error(`No local variables cache found in offline mode: ${cachePath}`);
       }
+      return cachedData;
+    }
+    if (cachedData && (await isCacheUpToDate(readCacheMeta(metaPath)))) {
+      return cachedData;
+    }
+  }
+  try {
+    console.log('[figma-export-tool] Fetching Figma variables from API...');
+    const [response, version] = await Promise.all([
+      figmaClient.api(`/v1/files/${FIGMA_FILE_ID}/variables/local`),
+      fetchFileVersion(),
+    ]);
+    const variablesData = response.data.meta || { variables: {}, variableCollections: {} };
+    try {
+      fs.mkdirSync(FILE_CACHE_OUTPUT_DIR, { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify(variablesData, null, 2));
+      writeCacheMeta(metaPath, version);
+      console.log(`[figma-export-tool] Saved Figma variables to: ${cachePath}`);
+    } catch (err) {
+      console.warn('[figma-export-tool] Warning: Failed to write variables cache file.', err.message);
+    }
+    return variablesData;
+  } catch (error) {
+    throw new Error(`Error fetching variables data: ${error.message}`);
+  }
+}
 
-      if (node.type === 'INSTANCE' && (node.name === 'Typekit row' || node.name === 'Palette row')) {
-        const variableData = traverseChildren(node, node.name);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-        if (variableData && Object.keys(variableData.values).length > 0) {
-          // Save id in idMap
-          if (variableData.id) {
-            idMap[variableData['variable name']] = variableData.id;
-          }
-          if (Object.keys(variableData.values).length === 1) {
-            // If only one value, save it directly
-            if (node.name === 'Palette row') {
-              paletteVars[variableData['variable name']] = Object.values(variableData.values)[0];
-            } else {
-              typekitVars[variableData['variable name']] = Object.values(variableData.values)[0];
-            }
-          } else {
-            // Otherwise, save the object
-            if (node.name === 'Palette row') {
-              paletteVars[variableData['variable name']] = variableData.values;
-            } else {
-              typekitVars[variableData['variable name']] = variableData.values;
-            }
-          }
-        }
-      }
+// Run async worker for every item with at most `limit` workers at a time
+async function runWithConcurrency(items, limit, worker) {
+  let index = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (index < items.length) {
+      const item = items[index++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
 
-      if (node.children) {
-        for (const child of node.children) {
-          traverse(child, node.name);
-        }
-      }
+/**
+ * Renders nodes with Figma images API in batches
+ * @param {string[]} ids - Node ids
+ * @param {Object} options - Render format, scale, number of ids per request and retries
+ * @returns {Promise<Object>} Map of node id to image URL; nodes of failed batches are missing
+ */
+async function fetchImageUrls(ids, { format = 'png', scale = 1, batchSize = 50, retries } = {}) {
+  const imageUrls = {};
+  for (let i = 0; i < ids.length; i += batchSize) {
+    const batchIds = ids.slice(i, i + batchSize);
+    try {
+      const imageUrlResp = await figmaClient.api(`/v1/images/${FIGMA_FILE_ID}`, {
+        params: {
+          ids: batchIds.join(','),
+          format,
+          scale,
+        },
+        retries,
+      });
+      Object.assign(imageUrls, imageUrlResp.data.images || {});
+    } catch (err) {
+      console.error(
+        `Error rendering ${batchIds.length} node(s) [format: ${format}, scale: ${scale}]:`,
+        err.response ? err.response.data : err.message,
+      );
     }
+  }
+  return imageUrls;
+}
 
-    function resolveHexColor(fills) {
-      if (!fills || fills.length === 0 || !fills[0].color) return null;
-      const color = fills[0].color;
-      const r = Math.round(color.r * 255);
-      const g = Math.round(color.g * 255);
-      const b = Math.round(color.b * 255);
-      const a = fills[0].opacity !== undefined ? fills[0].opacity : 1;
-      if (a < 1) {
-        return `rgba(${r}, ${g}, ${b}, ${a.toFixed(2)})`;
-      }
-      return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1)}`;
+// Calculate export scale from exportSettings constraint, limited to 0.01..4 as Figma API allows
+function getExportScale(node, setting) {
+  let scale = 1;
+  if (setting.constraint && typeof setting.constraint.value === 'number') {
+    const box = node.absoluteBoundingBox;
+    if (setting.constraint.type === 'SCALE') {
+      scale = setting.constraint.value;
+    } else if (setting.constraint.type === 'WIDTH' && box && box.width) {
+      scale = setting.constraint.value / box.width;
+    } else if (setting.constraint.type === 'HEIGHT' && box && box.height) {
+      scale = setting.constraint.value / box.height;
     }
+    if (scale < 0.01) scale = 0.01;
+    if (scale > 4) scale = 4;
+  }
+  return scale;
+}
 
-    function traverseChildren(node, nodeType) {
-      const variableData = { values: {} };
-      let id = null;
+// Hash of the node subtree, absolute positions are taken relative to the node so moving it on canvas keeps the hash
+function hashNode(node) {
+  const origin = node.absoluteBoundingBox || { x: 0, y: 0 };
+  const content = JSON.stringify(node, (key, value) =>
+    (key === 'absoluteBoundingBox' || key === 'absoluteRenderBounds') && value
+      ? { ...value, x: value.x - origin.x, y: value.y - origin.y }
+      : value,
+  );
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
 
-      function collectValues(node, contextName) {
-        if (node.visible === false) {
-          return; // Skip invisible nodes
-        }
+// Convert Figma color (0..1 channels) to hex or rgba string
+function colorToHex(color, opacity) {
+  const r = Math.round(color.r * 255);
+  const g = Math.round(color.g * 255);
+  const b = Math.round(color.b * 255);
+  const a = opacity !== undefined ? opacity : color.a !== undefined ? color.a : 1;
+  if (a < 1) {
+    return `rgba(${r}, ${g}, ${b}, ${a.toFixed(2)})`;
+  }
+  return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1)}`;
+}
 
-        if (node.type === 'TEXT' && node.name === 'variable name') {
-          variableData['variable name'] = sanitize(node.characters, '-'); // Convert name
-        }
+const COLOR_FORMATS = ['hex', 'rgb', 'oklch'];
 
-        if (nodeType === 'Palette row' && node.name === 'value') {
-          const color = resolveHexColor(node.fills);
-          // Find id
-          if (
-            !id &&
-            node.boundVariables &&
-            node.boundVariables.fills &&
-            Array.isArray(node.boundVariables.fills) &&
-            node.boundVariables.fills[0] &&
-            node.boundVariables.fills[0].id
-          ) {
-            id = node.boundVariables.fills[0].id;
-          }
-          if (color) {
-            variableData.values[contextName] = color;
-          }
-        } else if (nodeType === 'Typekit row' && node.name === 'value') {
-          let value = node.characters;
-          // Add px if value is a number
-          if (/^\d+$/.test(value)) {
-            value = value + 'px';
-          }
-          // Find id
-          if (!id && node.boundVariables && node.boundVariables.characters && node.boundVariables.characters.id) {
-            id = node.boundVariables.characters.id;
-          }
-          variableData.values[contextName] = value;
-        }
+// Convert sRGB color (0..1 channels) to OKLCH (https://bottosson.github.io/posts/oklab/), hue is 0 for grays
+function colorToOklch(color) {
+  const [r, g, b] = [color.r, color.g, color.b].map((c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  const lightness = 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s;
+  const a = 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s;
+  const bAxis = 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s;
+  const chroma = Math.sqrt(a * a + bAxis * bAxis);
+  const hue = chroma < 0.0001 ? 0 : ((Math.atan2(bAxis, a) * 180) / Math.PI + 360) % 360;
+  return { lightness, chroma: chroma < 0.0001 ? 0 : chroma, hue };
+}
 
-        if (node.children) {
-          for (const child of node.children) {
-            collectValues(child, contextName);
-          }
-        }
-      }
+// Convert Figma color to CSS color in the given notation: hex (#rrggbb or rgba() with alpha), rgb or oklch
+function colorToCss(color, opacity, format) {
+  const a = opacity !== undefined ? opacity : color.a !== undefined ? color.a : 1;
+  const alpha = a < 1 ? ` / ${+a.toFixed(2)}` : '';
+  if (format === 'rgb') {
+    const [r, g, b] = [color.r, color.g, color.b].map((c) => Math.round(c * 255));
+    return `rgb(${r} ${g} ${b}${alpha})`;
+  }
+  if (format === 'oklch') {
+    const { lightness, chroma, hue } = colorToOklch(color);
+    return `oklch(${+(lightness * 100).toFixed(2)}% ${+chroma.toFixed(4)} ${+hue.toFixed(2)}${alpha})`;
+  }
+  return colorToHex(color, a);
+}
 
-      for (const child of node.children || []) {
-        const contextName = sanitize(child.name, '-'); // Use parent name
-        collectValues(child, contextName);
-      }
+// Stop positions and gradient geometry are rounded to 2 decimals
+const cssPercent = (value) => `${+(value * 100).toFixed(2)}%`;
+const cssAngle = (dx, dy) => +(((Math.atan2(dx, -dy) * 180) / Math.PI + 360) % 360).toFixed(2);
 
-      if (id) variableData.id = id;
-      return variableData;
-    }
+// Rewrite hex and rgba() colors of a CSS value (color, gradient or stacked fills) in another notation
+function cssColorsToFormat(value, format) {
+  if (format === 'hex' || typeof value !== 'string') return value;
+  return value.replace(/#([0-9a-f]{6})\b|rgba\((\d+), (\d+), (\d+), ([\d.]+)\)/g, (match, hex, r, g, b, a) => {
+    const channels = hex ? [0, 2, 4].map((index) => parseInt(hex.slice(index, index + 2), 16)) : [r, g, b].map(Number);
+    const [red, green, blue] = channels.map((channel) => channel / 255);
+    return colorToCss({ r: red, g: green, b: blue }, hex ? 1 : Number(a), format);
+  });
+}
 
-    traverse(node);
-    return { palette: paletteVars, typekit: typekitVars };
+// Color of a gradient stop with the paint opacity applied
+function gradientStopHex(stop, paint) {
+  const alpha = (stop.color.a !== undefined ? stop.color.a : 1) * (paint.opacity !== undefined ? paint.opacity : 1);
+  return colorToHex(stop.color, alpha);
+}
+
+/**
+ * Converts Figma gradient paint to CSS linear-, radial- or conic-gradient.
+ * Handle positions are relative to the node box, so its size is needed to get the exact angle and stop offsets.
+ * @param {Object} paint - GRADIENT_LINEAR, GRADIENT_RADIAL or GRADIENT_ANGULAR paint
+ * @param {{ width: number, height: number }} [size] - Node size, a square is assumed if omitted
+ * @returns {string|null} null for unsupported gradient types
+ */
+function gradientToCss(paint, size) {
+  const width = size && size.width ? size.width : 1;
+  const height = size && size.height ? size.height : 1;
+  const [start, end, side] = paint.gradientHandlePositions.map((point) => ({
+    x: point.x * width,
+    y: point.y * height,
+  }));
+  const stops = (position) =>
+    paint.gradientStops
+      .map((stop) => `${gradientStopHex(stop, paint)} ${cssPercent(position(stop.position))}`)
+      .join(', ');
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+
+  if (paint.type === 'GRADIENT_LINEAR') {
+    // CSS gradient line goes through the box center and is long enough to reach the corners,
+    // Figma stops are projected onto it from the start-end handle line
+    const angle = cssAngle(dx, dy);
+    const direction = { x: Math.sin((angle * Math.PI) / 180), y: -Math.cos((angle * Math.PI) / 180) };
+    const length = Math.abs(width * direction.x) + Math.abs(height * direction.y);
+    const position = (t) =>
+      ((start.x + dx * t - width / 2) * direction.x + (start.y + dy * t - height / 2) * direction.y) / length + 0.5;
+    return `linear-gradient(${angle}deg, ${stops(position)})`;
+  }
+  const center = `at ${cssPercent(start.x / width)} ${cssPercent(start.y / height)}`;
+  if (paint.type === 'GRADIENT_RADIAL') {
+    // CSS ellipses cannot be rotated, the radii are taken along the handles
+    const radiusX = Math.hypot(dx, dy) / width;
+    const radiusY = Math.hypot(side.x - start.x, side.y - start.y) / height;
+    return `radial-gradient(ellipse ${cssPercent(radiusX)} ${cssPercent(radiusY)} ${center}, ${stops((t) => t)})`;
   }
+  if (paint.type === 'GRADIENT_ANGULAR') {
+    return `conic-gradient(from ${cssAngle(dx, dy)}deg ${center}, ${stops((t) => t)})`;
+  }
+  return null;
+}
 
-  try {
-    const fileData = await fetchFigmaFile({ forceUpdate });
-    const variableIds = {};
-    const variables = extractVariables(fileData.document, variableIds);
-
-    const jsonFilePath = `${output}/${name}`;
-    fs.writeFileSync(jsonFilePath, JSON.stringify(variables, null, 2));
-    console.log(`Extracted variables saved to: ${jsonFilePath}`);
-
-    // Save a separate file with variable ids
-    const idsFilePath = `${output}/variableIds.json`;
-    fs.writeFileSync(idsFilePath, JSON.stringify(variableIds, null, 2));
-    console.log(`Variable ids saved to: ${idsFilePath}`);
-
-    // Styles export
-    // paletteVars and typekitVars are now taken from variables
-    const paletteVars = Object.entries(variables.palette);
-    const typekitVars = Object.entries(variables.typekit);
-
-    let styles = ':root {\n';
-    // Palette
-    styles += '  /* Palette */\n';
-    let themes = [];
-    for (const [name, value] of paletteVars) {
-      if (typeof value === 'string') {
-        styles += `  --${name}: ${value};\n`;
-      } else if (typeof value === 'object' && value !== null) {
-        themes = Object.keys(value);
-        if (themes.length > 0) {
-          styles += `  --${name}: ${value[themes[0]]};\n`;
-        }
-      }
-    }
-    if (css) {
-      styles += `}\n`;
+/**
+ * Converts node fills to a CSS value: a color for one solid fill, a gradient, or stacked backgrounds
+ * for several visible fills. Figma lists fills bottom to top, CSS backgrounds go top to bottom.
+ * @param {Object[]} fills - Figma paints of the node
+ * @param {{ width: number, height: number }} [size] - Node size for gradient geometry
+ * @returns {string|null} null if the node has no supported visible fills
+ */
+function fillsToCss(fills, size) {
+  const layers = [];
+  for (const paint of fills || []) {
+    if (paint.visible === false) continue;
+    if (paint.type === 'SOLID' && paint.color) {
+      const color = colorToHex(paint.color, paint.opacity !== undefined ? paint.opacity : 1);
+      layers.unshift({ solid: true, value: color });
+      continue;
     }
-    for (let i = 1; i < themes.length; i++) {
-      const theme = themes[i];
-      styles += (css ? `` : `  `) + `.${theme}_mode, [data-theme='${theme}'] {\n`;
-      for (const [name, value] of paletteVars) {
-        styles += (css ? `  ` : `    `) + `--${name}: ${value[theme]};\n`;
-      }
-      styles += (css ? `` : `  `) + `}\n`;
+    const gradient = paint.gradientStops && paint.gradientHandlePositions ? gradientToCss(paint, size) : null;
+    if (gradient) {
+      layers.unshift({ solid: false, value: gradient });
+    } else {
+      console.warn(`[figma-export-tool] Warning: Unsupported fill type '${paint.type}' skipped.`);
     }
+  }
+  if (layers.length === 0) return null;
+  if (layers.length === 1) return layers[0].value;
+  // Background image layers cannot be colors, so solid fills are stacked as flat gradients
+  return layers
+    .map((layer) => (layer.solid ? `linear-gradient(${layer.value}, ${layer.value})` : layer.value))
+    .join(', ');
+}
 
-    // Typekit
-    styles += `\n` + (css ? `` : `  `) + `/* Typekit */\n`;
-    if (css) {
-      styles += `:root {\n`;
-    }
-    // Collect desktop and other platforms separately
-    const desktopVars = [];
-    const platformVars = {};
-    const scssBreakpoints = [];
-    const cssBreakpoints = {};
-    for (const [key, value] of typekitVars) {
-      if (key.includes('breakpoint')) {
-        // For each mode, except desktop, create a SCSS variable
-        if (typeof value === 'object') {
-          for (const platform in value) {
-            if (
-              platform !== 'desktop' &&
-              value[platform] !== '-' &&
-              value[platform] !== '' &&
-              value[platform] !== undefined
-            ) {
-              scssBreakpoints.push(`$${platform}: ${value[platform]};`);
-              cssBreakpoints[platform] = value[platform];
-            }
-          }
-        } else if (value !== '-' && value !== '' && value !== undefined) {
-          scssBreakpoints.push(`$mobile: ${value};`);
-          cssBreakpoints['mobile'] = value;
-        }
-        continue; // Do not add to custom properties
-      }
-      if (typeof value === 'object') {
-        for (const platform in value) {
-          let outValue = value[platform];
-          if (typeof outValue === 'string' && !/^[-+]?\d+(px|%|em|rem)?$/.test(outValue)) {
-            outValue = `"${outValue}"`;
-          }
-          if (platform === 'desktop') {
-            desktopVars.push(`  --${key}: ${outValue};`);
-          } else {
-            if (!platformVars[platform]) platformVars[platform] = [];
-            platformVars[platform].push(`    --${key}: ${outValue};`);
-          }
-        }
-      } else {
-        let outValue = value;
-        if (typeof outValue === 'string' && !/^[-+]?\d+(px|%|em|rem)?$/.test(outValue)) {
-          outValue = `"${outValue}"`;
-        }
-        desktopVars.push(`  --${key}: ${outValue};`);
-      }
-    }
-    // Insert SCSS breakpoint variables before :root
-    if (!css && scssBreakpoints.length) {
-      styles = scssBreakpoints.join('\n') + '\n' + styles;
-    }
-    // Desktop
-    styles += desktopVars.join('\n') + '\n';
-    if (css) {
-      styles += `}\n`;
-    }
-    // Other platforms
-    for (const platform in platformVars) {
-      if (css) {
-        styles +=
-          `@media (max-width: ${cssBreakpoints[platform]}) {\n  :root {\n` +
-          platformVars[platform].join('\n') +
-          '\n  }\n';
-      } else {
-        styles += `  @media (max-width: $${platform}) {\n` + platformVars[platform].join('\n') + '\n  }\n';
-      }
-      if (css) {
-        styles += `}\n`;
-      }
-    }
-    if (!css) {
-      styles += '}\n';
+// Gradient and stacked fill values cannot be used as plain colors
+function isGradientValue(value) {
+  const values = typeof value === 'object' && value !== null ? Object.values(value) : [value];
+  return values.some((item) => typeof item === 'string' && /gradient\(/.test(item));
+}
+
+program
+  .name('figma-export-tool')
+  .description('A CLI tool to export Figma file content and variables')
+  .version('1.0.0')
+  .option('--config <path>', 'Path to project config file (default: figma-export.config.js or .json)')
+  .option('--only <source>', 'Run commands only for the named source of the project config')
+  .option('--api-url <url>', 'Figma API URL (default: FIGMA_API_URL or https://api.figma.com)')
+  .option('--proxy <url>', 'HTTP(S) proxy for Figma requests (default: FIGMA_PROXY, HTTPS_PROXY or HTTP_PROXY)')
+  .option('--timeout <ms>', 'Timeout of Figma requests in milliseconds (default: FIGMA_TIMEOUT or none)')
+  .option('--record <dir>', 'Save Figma responses to the directory')
+  .option('--replay <dir>', 'Serve Figma responses saved with --record instead of requesting Figma')
+  .option('--scope-node', 'Scope exports to the node-id of the Figma file URL (default: FIGMA_SCOPE_NODE)');
+
+// Load project config before any command; without config the .env settings are used
+program.hook('preAction', () => {
+  try {
+    const { apiUrl, proxy, timeout, record, replay, scopeNode } = program.opts();
+    cliOverrides = Object.fromEntries(
+      Object.entries({ apiUrl, proxy, timeout, record, replay, scopeNode }).filter(([, value]) => value !== undefined),
+    );
+    projectConfig = loadConfig(program.opts().config);
+    if (!projectConfig) {
+      useSource();
     }
-    const stylesFilePath = `${scssOutput}/variables` + (css ? `.css` : `.scss`);
-    fs.writeFileSync(stylesFilePath, styles);
-    console.log((css ? `CSS` : `SCSS`) + ` variables saved to: ${stylesFilePath}`);
   } catch (error) {
-    console.error('Error: ', error.message);
+    console.error('Error:', error.message);
     process.exit(1);
   }
+});
+
+/**
+ * Runs export function once with .env settings, or for every config source that declares the command.
+ * Options passed in CLI override the values from config.
+ * @param {string} command - Command name as used in config "commands" section
+ * @param {Function} exportFn - Export function
+ * @param {Object} cliOptions - Options from CLI, undefined values are ignored
+ * @param {boolean} declaredOnly - Skip sources that do not declare the command even if picked with --only
+ * @returns {Promise<Object[]>} Results of every export function call
+ */
+async function runForSources(command, exportFn, cliOptions = {}, declaredOnly = false) {
+  const overrides = Object.fromEntries(Object.entries(cliOptions).filter(([, value]) => value !== undefined));
+  if (!projectConfig) {
+    return [await exportFn(overrides)];
+  }
+  // A source picked explicitly with --only runs a single command even if it is not declared in its config
+  const only = program.opts().only;
+  const sources = projectConfig.sources.filter((source) =>
+    only && !declaredOnly ? source.name === only : source.commands[command] && (!only || source.name === only),
+  );
+  if (sources.length === 0 && !declaredOnly) {
+    console.warn(`[figma-export-tool] No sources for '${command}' command found in ${projectConfig.path}`);
+  }
+  const results = [];
+  for (const source of sources) {
+    console.log(`[figma-export-tool] Source '${source.name}'`);
+    useSource(source);
+    // Command settings may be a list, e.g. to export images from several frames
+    for (const commandOptions of [].concat(source.commands[command] || {})) {
+      results.push(await exportFn({ ...(typeof commandOptions === 'object' ? commandOptions : {}), ...overrides }));
+    }
+  }
+  return results;
+}
+
+// CLI actions print errors and exit with non-zero code, export functions throw them
+function cliAction(action) {
+  return async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  };
 }
 
 program
-  .command('icons')
-  .description('Extract icons from Figma and generate icons.scss')
-  .option('-f, --frame <type>', 'Frame name', ICONS_SPRITE)
+  .command('content')
+  .description('Export the Figma file content to a JSON file')
   .option('-o, --output <type>', 'Output directory')
-  .option('-n, --name <type>', 'Name of output file', 'icons')
-  .option('-u, --update', 'Force update from Figma API, ignore local cache')
-  .option('-c, --css', 'Render CSS code instead of SCSS')
-  .action(async (cmd) => {
-    await exportIcons({
-      output: cmd.output,
-      name: cmd.name,
-      frame: cmd.frame,
-      forceUpdate: !!cmd.update,
-      css: !!cmd.css,
-    });
-  });
+  .option('-n, --name <type>', 'Name of output file (default: "figmaFileContent")')
+  .action(
+    cliAction(async (cmd) => {
+      await runForSources('content', exportContent, { output: cmd.output, name: cmd.name });
+    }),
+  );
+
+async function exportContent({ output = FILE_CACHE_OUTPUT_DIR, name = 'figmaFileContent' } = {}) {
+  console.log('Exporting file content...');
 
-async function exportIcons({ frame = ICONS_SPRITE, output, name = 'icons', forceUpdate = false, css = false } = {}) {
-  console.log('Exporting icons sprite...');
-  if (!output) {
-    output = STYLES_OUTPUT_DIR;
-  }
   if (!fs.existsSync(output)) {
     fs.mkdirSync(output, { recursive: true });
   }
+  const fileData = await fetchFigmaFile({
+    forceUpdate: true,
+    cachePath: `${output}/${name}`,
+  });
+  const jsonFilePath = `${output}/${name}.json`;
   try {
-    const fileData = await fetchFigmaFile({ forceUpdate });
-    // Search for icons_sprite
-    function findIconsSprite(node) {
-      if (node.name === frame) return node;
-      if (node.children) {
-        for (const child of node.children) {
-          const found = findIconsSprite(child);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-    const iconsSprite = findIconsSprite(fileData.document);
-    if (!iconsSprite || !iconsSprite.children) {
-      throw new Error('icons_sprite not found or has no children');
-    }
-    // Generate SCSS/CSS code
-    let styles = '';
-    if (css) {
-      styles += `.icon {display: inline-block; vertical-align: top; width: 24px; height: 24px;\n background: url(icons.svg);  --bg-position: 0 0; background-position: var(--bg-position); background-repeat: no-repeat;}\n`;
-      styles += `.icon_mask {background: var(--text-primary); mask-image: url(icons.svg); mask-repeat: no-repeat; mask-position: var(--bg-position);}\n`;
-    } else {
-      styles += `.icon {display: inline-block; vertical-align: top; width: 24px; height: 24px;\n background: url(icons.svg);  --bg-position: 0 0; background-position: var(--bg-position); background-repeat: no-repeat;\n`;
-      styles += `  &_mask {background: var(--text-primary); mask-image: url(icons.svg); mask-repeat: no-repeat; mask-position: var(--bg-position);}\n`;
+    fs.writeFileSync(jsonFilePath, JSON.stringify(fileData, null, 2));
+    console.log(`Figma file content saved to: ${jsonFilePath}`);
+    return { data: fileData, files: [jsonFilePath] };
+  } catch (err) {
+    // Fallback to binary if JSON is too large to stringify
+    const binPath = `${output}/${name}.v8`;
+    try {
+      const binary = v8.serialize(fileData);
+      fs.writeFileSync(binPath, binary);
+      console.warn(`[figma-export-tool] JSON export too large; saved binary instead: ${binPath}`);
+      return { data: fileData, files: [binPath] };
+    } catch (binErr) {
+      throw binErr;
     }
-    // Get coordinates of icons_sprite
-    const spriteBox = iconsSprite.absoluteBoundingBox || { x: 0, y: 0 };
-    for (const icon of iconsSprite.children) {
-      const name = sanitize(icon.name, '_'); // For icons, use _
-      // Get relative coordinates and round
-      let x =
-        icon.absoluteBoundingBox && icon.absoluteBoundingBox.x !== undefined
-          ? Math.round(icon.absoluteBoundingBox.x - spriteBox.x)
-          : 0;
-      let y =
-        icon.absoluteBoundingBox && icon.absoluteBoundingBox.y !== undefined
-          ? Math.round(icon.absoluteBoundingBox.y - spriteBox.y)
-          : 0;
-      let sizeRule = '';
-      // Check size
-      let w = icon.width !== undefined ? icon.width : icon.absoluteBoundingBox ? icon.absoluteBoundingBox.width : 24;
-      let h = icon.height !== undefined ? icon.height : icon.absoluteBoundingBox ? icon.absoluteBoundingBox.height : 24;
-      if (w !== 24 || h !== 24) {
-        sizeRule = ` width: ${w}px; height: ${h}px;`;
-      }
-      if (css) {
-        styles += `.icon_${name} {--bg-position: -${x}px -${y}px;${sizeRule}}\n`;
-      } else {
-        styles += `  &_${name} {--bg-position: -${x}px -${y}px;${sizeRule}}\n`;
+  }
+}
+
+// Collect breakpoint values per platform from typekit rows (desktop is the base and has no breakpoint)
+function extractBreakpoints(typekit) {
+  const breakpoints = {};
+  for (const [key, value] of Object.entries(typekit)) {
+    if (!key.includes('breakpoint')) continue;
+    if (typeof value === 'object') {
+      for (const platform in value) {
+        if (
+          platform !== 'desktop' &&
+          value[platform] !== '-' &&
+          value[platform] !== '' &&
+          value[platform] !== undefined
+        ) {
+          breakpoints[platform] = value[platform];
+        }
       }
+    } else if (value !== '-' && value !== '' && value !== undefined) {
+      breakpoints['mobile'] = value;
     }
-    if (!css) {
-      styles += `}`;
-    }
-    const stylesFilePath = `${output}/${name}` + (css ? `.css` : `.scss`);
-    fs.writeFileSync(stylesFilePath, styles);
-    console.log(`Icons ` + (css ? `CSS` : `SCSS`) + ` saved to: ${stylesFilePath}`);
-  } catch (error) {
-    console.error('Error:', error.message);
-    process.exit(1);
   }
+  return breakpoints;
 }
 
-program
-  .command('images')
+/**
+ * Media queries of typekit platforms in cascade order. The base platform has no query, narrower platforms use
+ * max-width (desktop-first), wider ones min-width (mobile-first), and the range strategy limits every platform
+ * to its own range.
+ * @param {Object} breakpoints - Max width of platforms, the widest platform has no breakpoint
+ * @param {string[]} platforms - Platforms used in typekit values
+ * @param {{ media?: string, basePlatform?: string, scss?: boolean }} options - media: "desktop-first",
+ * "mobile-first" or "range"; base platform defaults to the widest (desktop-first) or the narrowest one
+ * @returns {{ base: string, queries: { platform: string, query: string }[], ranges: Object }}
+ */
+function typekitMediaQueries(breakpoints, platforms, { media = 'desktop-first', basePlatform, scss = false } = {}) {
+  if (!['desktop-first', 'mobile-first', 'range'].includes(media)) {
+    throw new Error(`unknown media strategy '${media}', expected 'desktop-first', 'mobile-first' or 'range'`);
+  }
+  const width = (platform) => (breakpoints[platform] ? parseFloat(breakpoints[platform]) : Infinity);
+  const sorted = [...new Set([...Object.keys(breakpoints), ...platforms])].sort((a, b) => width(a) - width(b));
+  const unbounded = sorted.filter((platform) => !breakpoints[platform]);
+  if (unbounded.length > 1) {
+    console.warn(
+      `[figma-export-tool] Warning: Platforms ${unbounded.slice(1).join(', ')} have no breakpoint and are skipped.`,
+    );
+    sorted.splice(sorted.length - unbounded.length + 1);
+  }
+  // Typekit without platform values (palette-only file, single-mode collections) needs no media queries
+  if (sorted.length === 0 && !basePlatform) {
+    return { base: undefined, queries: [], ranges: {} };
+  }
+  const base = basePlatform || (media === 'mobile-first' ? sorted[0] : sorted[sorted.length - 1]);
+  if (!sorted.includes(base)) {
+    throw new Error(`unknown base platform '${base}', expected one of: ${sorted.join(', ')}`);
+  }
+  const maxWidth = (index) => (scss ? `$${sorted[index]}` : breakpoints[sorted[index]]);
+  // Platform range starts right after the breakpoint of the previous (narrower) platform
+  function minWidth(index) {
+    const previous = breakpoints[sorted[index - 1]];
+    const unit = (/[a-z%]+$/i.exec(previous) || ['px'])[0];
+    const step = unit === 'px' ? 1 : 0.01;
+    return scss ? `$${sorted[index - 1]} + ${step}${unit}` : `${parseFloat(previous) + step}${unit}`;
+  }
+  function range(index) {
+    const conditions = [];
+    if (index > 0) conditions.push(`(min-width: ${minWidth(index)})`);
+    if (breakpoints[sorted[index]]) conditions.push(`(max-width: ${maxWidth(index)})`);
+    return conditions.join(' and ');
+  }
+  const baseIndex = sorted.indexOf(base);
+  const queries = [];
+  for (let i = baseIndex - 1; i >= 0; i--) {
+    queries.push({ platform: sorted[i], query: media === 'range' ? range(i) : `(max-width: ${maxWidth(i)})` });
+  }
+  for (let i = baseIndex + 1; i < sorted.length; i++) {
+    queries.push({ platform: sorted[i], query: media === 'range' ? range(i) : `(min-width: ${minWidth(i)})` });
+  }
+  return { base, queries, ranges: Object.fromEntries(sorted.map((platform, i) => [platform, range(i)])) };
+}
+
+// Platforms used in typekit values, e.g. desktop, tablet, mobile
+function typekitPlatforms(typekit) {
+  const platforms = [];
+  for (const [key, value] of Object.entries(typekit)) {
+    if (key.includes('breakpoint') || typeof value !== 'object' || value === null) continue;
+    for (const platform of Object.keys(value)) {
+      if (!platforms.includes(platform)) platforms.push(platform);
+    }
+  }
+  return platforms;
+}
+
+// SCSS mixin wrapping content into the media query of a platform range: @include respond-to(tablet) { ... }
+function respondToMixin(breakpoints, platforms, options) {
+  const { ranges } = typekitMediaQueries(breakpoints, platforms, { ...options, scss: true });
+  const branches = Object.entries(ranges)
+    .filter(([, query]) => query)
+    .map(([platform, query]) => `if $platform == ${platform} {\n    @media ${query} {\n      @content;\n    }\n  }`);
+  if (branches.length === 0) return '';
+  return (
+    `@mixin respond-to($platform) {\n  @${branches.join(' @else ')} @else {\n` +
+    `    @error "Unknown platform #{$platform}";\n  }\n}\n`
+  );
+}
+
+// Serialize a JSON-like value as TS/JS source, or as a readonly literal type when asType is true
+function toTsLiteral(value, asType = false, indent = '') {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  if (typeof value !== 'object' || value === null) {
+    return String(value);
+  }
+  const inner = indent + '  ';
+  if (Array.isArray(value)) {
+    const items = value.map((item) => toTsLiteral(item, asType, indent)).join(', ');
+    return asType ? `readonly [${items}]` : `[${items}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  const lines = entries.map(([key, val]) => {
+    const keyStr = /^[A-Za-z_$][\w$]*$/.test(key) ? key : toTsLiteral(key);
+    return `${inner}${asType ? 'readonly ' : ''}${keyStr}: ${toTsLiteral(val, asType, inner)}${asType ? ';' : ','}`;
+  });
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+// Generate typed token modules from variables: tokens.ts, or tokens.js with tokens.d.ts for plain JS consumers
+function variablesToTokenModules(variables, lang = 'ts') {
+  const header = '// Generated by figma-export from Figma variables. Do not edit manually.\n\n';
+  const typekit = Object.fromEntries(Object.entries(variables.typekit).filter(([key]) => !key.includes('breakpoint')));
+  const breakpoints = extractBreakpoints(variables.typekit);
+  const data = { palette: variables.palette, typekit, breakpoints };
+  const union = (keys) => (keys.length ? keys.map((key) => toTsLiteral(key)).join(' | ') : 'never');
+  const types =
+    `export type PaletteToken = ${union(Object.keys(variables.palette))};\n` +
+    `export type TypekitToken = ${union(Object.keys(typekit))};\n` +
+    `export type Breakpoint = ${union(Object.keys(breakpoints))};\n` +
+    `export type Token = PaletteToken | TypekitToken;\n`;
+  const cssVarDoc = '/** Returns CSS custom property reference for the token, e.g. `var(--text-primary)` */\n';
+
+  if (lang === 'ts') {
+    let ts = header;
+    for (const [name, value] of Object.entries(data)) {
+      ts += `export const ${name} = ${toTsLiteral(value)} as const;\n\n`;
+    }
+    ts += types + '\n';
+    ts += `export const paletteTokens = Object.keys(palette) as PaletteToken[];\n`;
+    ts += `export const typekitTokens = Object.keys(typekit) as TypekitToken[];\n\n`;
+    ts += cssVarDoc + 'export function cssVar(name: Token): string {\n  return `var(--${name})`;\n}\n';
+    return { 'tokens.ts': ts };
+  }
+
+  let js = header;
+  let dts = header;
+  for (const [name, value] of Object.entries(data)) {
+    js += `export const ${name} = ${toTsLiteral(value)};\n\n`;
+    dts += `export declare const ${name}: ${toTsLiteral(value, true)};\n\n`;
+  }
+  js += `export const paletteTokens = Object.keys(palette);\n`;
+  js += `export const typekitTokens = Object.keys(typekit);\n\n`;
+  js += cssVarDoc + 'export function cssVar(name) {\n  return `var(--${name})`;\n}\n';
+  dts += types + '\n';
+  dts += `export declare const paletteTokens: PaletteToken[];\n`;
+  dts += `export declare const typekitTokens: TypekitToken[];\n\n`;
+  dts += cssVarDoc + 'export declare function cssVar(name: Token): string;\n';
+  return { 'tokens.js': js, 'tokens.d.ts': dts };
+}
+
+// Generate Tailwind CSS preset with theme values pointing at the generated CSS custom properties
+function variablesToTailwindPreset(variables) {
+  const colors = {};
+  const backgroundImage = {};
+  const fontSize = {};
+  const fontFamily = {};
+  const fontWeight = {};
+  // Short theme key from token name, e.g. h1-font-size -> h1, typeface-primary -> primary
+  const themeKey = (name, pattern) => name.replace(pattern, '-').replace(/-+/g, '-').replace(/^-|-$/g, '') || 'DEFAULT';
+
+  for (const [name, value] of Object.entries(variables.palette)) {
+    // Gradient tokens go to bg-* image utilities, color utilities would get an invalid value
+    if (isGradientValue(value)) {
+      backgroundImage[name] = `var(--${name})`;
+    } else {
+      colors[name] = `var(--${name})`;
+    }
+  }
+  const typekitNames = Object.keys(variables.typekit).filter((name) => !name.includes('breakpoint'));
+  for (const name of typekitNames) {
+    if (/font-size|(^|-)size($|-)/.test(name)) {
+      const key = themeKey(name, /(font-)?size/);
+      const lineHeight = typekitNames.find((other) => other === name.replace(/(font-)?size/, 'line-height'));
+      fontSize[key] = lineHeight ? [`var(--${name})`, { lineHeight: `var(--${lineHeight})` }] : `var(--${name})`;
+    } else if (/weight/.test(name)) {
+      fontWeight[themeKey(name, /(font-)?weight/)] = `var(--${name})`;
+    } else if (/typeface|family/.test(name)) {
+      fontFamily[themeKey(name, /typeface|(font-)?family/)] = [`var(--${name})`];
+    }
+  }
+  // Media queries cannot use custom properties, so screens get raw breakpoint values. Tailwind screens are
+  // min-width ones, so wider platforms start after the breakpoint of the narrower one (mobile-first) and replace
+  // the default sm...2xl screens, which cannot be mixed with them.
+  const screens = {};
+  const { queries } = typekitMediaQueries(extractBreakpoints(variables.typekit), typekitPlatforms(variables.typekit), {
+    media: 'mobile-first',
+  });
+  for (const { platform, query } of queries) {
+    screens[platform] = /min-width: ([^)]+)/.exec(query)[1];
+  }
+
+  const theme = {
+    ...(Object.keys(screens).length > 0 ? { screens } : {}),
+    extend: {
+      colors,
+      ...(Object.keys(backgroundImage).length > 0 ? { backgroundImage } : {}),
+      fontSize,
+      fontFamily,
+      fontWeight,
+    },
+  };
+  return (
+    '// Generated by figma-export from Figma variables. Do not edit manually.\n' +
+    "// Use as a preset in tailwind.config.js: presets: [require('./tailwind.preset.js')]\n\n" +
+    `module.exports = ${toTsLiteral({ theme })};\n`
+  );
+}
+
+// Generate React Native theme module: colors per theme mode, unitless typography per platform
+// and a size-class selector built from typekit breakpoints
+function variablesToNativeTheme(variables) {
+  const camelCase = (name) => name.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+  const toNativeValue = (name, value) => {
+    if (typeof value !== 'string') return value;
+    if (name.includes('weight') && /^\d+(px)?$/.test(value)) {
+      return String(parseInt(value, 10)); // React Native expects font weights as strings
+    }
+    const number = /^(-?\d+(?:\.\d+)?)(px)?$/.exec(value);
+    return number ? Number(number[1]) : value;
+  };
+
+  const themes = [];
+  for (const value of Object.values(variables.palette)) {
+    if (typeof value === 'object' && value !== null) {
+      for (const theme of Object.keys(value)) {
+        if (!themes.includes(theme)) themes.push(theme);
+      }
+    }
+  }
+  if (themes.length === 0) themes.push('default');
+  const colors = {};
+  for (const theme of themes) {
+    colors[theme] = {};
+    for (const [name, value] of Object.entries(variables.palette)) {
+      const themeValue = typeof value === 'object' && value !== null ? value[theme] : value;
+      if (themeValue !== undefined && !isGradientValue(themeValue)) colors[theme][camelCase(name)] = themeValue;
+    }
+  }
+  // React Native has no CSS gradients, such values are left out of colors
+  for (const [name, value] of Object.entries(variables.palette)) {
+    if (isGradientValue(value)) {
+      console.warn(
+        `[figma-export-tool] Warning: Palette variable '${name}' is a gradient, left out of React Native colors.`,
+      );
+    }
+  }
+
+  // Desktop is the base set, other platforms override it the same way media queries do in variables.scss
+  const breakpoints = {};
+  for (const [platform, value] of Object.entries(extractBreakpoints(variables.typekit))) {
+    breakpoints[platform] = toNativeValue(platform, value);
+  }
+  const typography = { desktop: {} };
+  for (const [name, value] of Object.entries(variables.typekit)) {
+    if (name.includes('breakpoint')) continue;
+    const values = typeof value === 'object' && value !== null ? value : { desktop: value };
+    for (const [platform, platformValue] of Object.entries(values)) {
+      if (platformValue === undefined || platformValue === '' || platformValue === '-') continue;
+      if (!typography[platform]) typography[platform] = {};
+      typography[platform][camelCase(name)] = toNativeValue(name, platformValue);
+    }
+  }
+  for (const platform of Object.keys(typography)) {
+    if (platform !== 'desktop') {
+      typography[platform] = { ...typography.desktop, ...typography[platform] };
+    }
+  }
+
+  // Narrowest breakpoint is checked first, so the cascade matches max-width media queries
+  const sizeClassChecks = Object.entries(breakpoints)
+    .filter(([platform, value]) => typography[platform] && typeof value === 'number')
+    .sort((a, b) => a[1] - b[1])
+    .map(([platform, value]) => `  if (width <= ${value}) return '${platform}';\n`)
+    .join('');
+
+  return (
+    '// Generated by figma-export from Figma variables. Do not edit manually.\n\n' +
+    `export const colors = ${toTsLiteral(colors)} as const;\n\n` +
+    `export type ThemeMode = keyof typeof colors;\n\n` +
+    `export const breakpoints = ${toTsLiteral(breakpoints)} as const;\n\n` +
+    `export const typography = ${toTsLiteral(typography)} as const;\n\n` +
+    `export type SizeClass = keyof typeof typography;\n\n` +
+    '/** Returns size class (platform typography set) for the window width */\n' +
+    `export function getSizeClass(width: number): SizeClass {\n${sizeClassChecks}  return 'desktop';\n}\n\n` +
+    '/** Returns typography set for the window width, e.g. getTypography(useWindowDimensions().width) */\n' +
+    'export function getTypography(width: number) {\n  return typography[getSizeClass(width)];\n}\n'
+  );
+}
+
+// Convert CSS color string (#rrggbb or rgba()) to hex notation with optional alpha channel
+function cssColorToHex(value) {
+  const match = /^rgba?\(\s*(\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\s*\)$/.exec(value);
+  if (!match) return value;
+  const [r, g, b] = match.slice(1, 4).map((c) => Number(c).toString(16).padStart(2, '0'));
+  const a = match[4] !== undefined ? Math.round(Number(match[4]) * 255) : 255;
+  return `#${r}${g}${b}` + (a < 255 ? a.toString(16).padStart(2, '0') : '');
+}
+
+// Convert { palette, typekit } variables to W3C Design Tokens (DTCG) format.
+// Every theme/platform becomes a mode group, single-value tokens are repeated in each group.
+function variablesToDtcg(variables, variableIds = {}, gradientPaints = {}) {
+  function withExtensions(token, name) {
+    if (variableIds[name]) {
+      token.$extensions = { 'com.figma': { variableId: variableIds[name] } };
+    }
+    return token;
+  }
+
+  function typekitToken(name, value) {
+    if (typeof value === 'number') {
+      return { $type: name.includes('weight') ? 'fontWeight' : 'number', $value: value };
+    }
+    if (typeof value === 'boolean') {
+      return { $value: value };
+    }
+    if (name.includes('weight') && /^\d+(px)?$/.test(value)) {
+      return { $type: 'fontWeight', $value: parseInt(value, 10) };
+    }
+    if (name.includes('typeface') || name.includes('family')) {
+      return { $type: 'fontFamily', $value: value };
+    }
+    if (/^-?\d+(\.\d+)?(px|rem)$/.test(value)) {
+      return { $type: 'dimension', $value: value };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+      return { $type: 'number', $value: Number(value) };
+    }
+    return { $value: value };
+  }
+
+  // Gradient tokens get stops of the Figma paint, stacked fills have no DTCG type and are left out
+  function paletteToken(name, value, mode) {
+    if (!isGradientValue(value)) {
+      return { $type: 'color', $value: cssColorToHex(value) };
+    }
+    const paints = gradientPaints[name] || {};
+    const paint = paints[mode] || (Object.keys(paints).length === 1 ? Object.values(paints)[0] : undefined);
+    if (!paint) {
+      console.warn(
+        `[figma-export-tool] Warning: Palette variable '${name}' has stacked fills, left out of DTCG tokens.`,
+      );
+      return null;
+    }
+    return {
+      $type: 'gradient',
+      $value: paint.gradientStops.map((stop) => ({
+        color: cssColorToHex(gradientStopHex(stop, paint)),
+        position: +stop.position.toFixed(4),
+      })),
+    };
+  }
+
+  function groupByModes(vars, toToken) {
+    const modes = [];
+    for (const value of Object.values(vars)) {
+      if (typeof value === 'object' && value !== null) {
+        for (const mode of Object.keys(value)) {
+          if (!modes.includes(mode)) modes.push(mode);
+        }
+      }
+    }
+    if (modes.length === 0) modes.push('default');
+    const groups = {};
+    for (const mode of modes) {
+      groups[mode] = {};
+      for (const [name, value] of Object.entries(vars)) {
+        const modeValue = typeof value === 'object' && value !== null ? value[mode] : value;
+        if (modeValue === undefined || modeValue === '' || modeValue === '-') continue;
+        const token = toToken(name, modeValue, mode);
+        if (token) groups[mode][name] = withExtensions(token, name);
+      }
+    }
+    return groups;
+  }
+
+  return {
+    palette: groupByModes(variables.palette, paletteToken),
+    typekit: groupByModes(variables.typekit, typekitToken),
+  };
+}
+
+// Typekit name suffixes grouped into text styles, e.g. h1-font-size and h1-line-height make the h1 style
+const TEXT_STYLE_PROPERTIES = {
+  'font-family': 'font-family',
+  typeface: 'font-family',
+  'font-weight': 'font-weight',
+  'font-size': 'font-size',
+  'line-height': 'line-height',
+  'letter-spacing': 'letter-spacing',
+};
+
+/**
+ * Generates text styles combining typekit values of every typographic level: SCSS mixins with classes or CSS classes.
+ * Platform values are applied with the same media queries as the typekit custom properties.
+ * @param {Object} variables - Extracted variables ({ palette, typekit })
+ * @param {{ css?: boolean, groups?: Object, media?: string, basePlatform?: string }} options - groups map level
+ * names to { 'css-property': 'typekit-name' }, by default they are inferred from the shared prefix of typekit names
+ * @returns {string}
+ */
+function variablesToTextStyles(variables, { css = false, groups, media, basePlatform } = {}) {
+  const typekit = variables.typekit;
+  if (!groups) {
+    groups = {};
+    for (const key of Object.keys(typekit)) {
+      const suffix = Object.keys(TEXT_STYLE_PROPERTIES).find((item) => key.endsWith(`-${item}`));
+      if (!suffix) continue;
+      const level = key.slice(0, -suffix.length - 1);
+      groups[level] = { ...groups[level], [TEXT_STYLE_PROPERTIES[suffix]]: key };
+    }
+  }
+  const breakpoints = extractBreakpoints(typekit);
+  const { base: basePlatformName, queries } = typekitMediaQueries(breakpoints, typekitPlatforms(typekit), {
+    media,
+    basePlatform,
+    scss: !css,
+  });
+
+  function formatValue(property, value) {
+    if (property === 'font-weight') {
+      return String(value).replace(/px$/, '');
+    }
+    return typeof value === 'string' && !/^[-+]?[\d.]+(px|%|em|rem)?$/.test(value) ? `"${value}"` : value;
+  }
+
+  let result = css
+    ? ''
+    : Object.entries(breakpoints)
+        .map(([platform, value]) => `$${platform}: ${value};\n`)
+        .join('') + (Object.keys(breakpoints).length ? '\n' : '');
+  for (const [level, properties] of Object.entries(groups)) {
+    // Base platform values are declared first, other platforms override them in media queries
+    const base = [];
+    const platforms = {};
+    for (const [property, key] of Object.entries(properties)) {
+      const value = typekit[key];
+      if (value === undefined) {
+        console.warn(`[figma-export-tool] Warning: Typekit variable '${key}' for text style '${level}' not found.`);
+        continue;
+      }
+      if (typeof value !== 'object') {
+        base.push(`${property}: ${formatValue(property, value)};`);
+        continue;
+      }
+      for (const [platform, platformValue] of Object.entries(value)) {
+        if (platform === basePlatformName) {
+          base.push(`${property}: ${formatValue(property, platformValue)};`);
+        } else {
+          platforms[platform] = [
+            ...(platforms[platform] || []),
+            `${property}: ${formatValue(property, platformValue)};`,
+          ];
+        }
+      }
+    }
+    const className = `text-${level}`;
+    if (css) {
+      result += `.${className} {\n${base.map((line) => `  ${line}\n`).join('')}}\n`;
+      for (const { platform, query } of queries.filter((item) => platforms[item.platform])) {
+        result += `@media ${query} {\n  .${className} {\n`;
+        result += platforms[platform].map((line) => `    ${line}\n`).join('') + '  }\n}\n';
+      }
+    } else {
+      result += `@mixin ${className} {\n${base.map((line) => `  ${line}\n`).join('')}`;
+      for (const { platform, query } of queries.filter((item) => platforms[item.platform])) {
+        result += `  @media ${query} {\n${platforms[platform].map((line) => `    ${line}\n`).join('')}  }\n`;
+      }
+      result += `}\n\n.${className} {\n  @include ${className};\n}\n`;
+    }
+    result += '\n';
+  }
+  return result.trimEnd() + '\n';
+}
+
+program
+  .command('variables')
+  .description('Extract variables from the Figma file and save them as a JSON and stylesheet')
+  .option('-o, --output <type>', 'Output directory')
+  .option('-n, --name <type>', 'Name of output JSON file (default: "variables.json")')
+  .option('-u, --update', 'Force update from Figma API, ignore local cache')
+  .option('--offline', 'Use local cache only, never check Figma API for updates')
+  .option('-c, --css', 'Render CSS code instead of SCSS')
+  .option(
+    '-s, --source <type>',
+    'Variables source: "rows" (Palette/Typekit row instances, default) or "api" (Variables API)',
+  )
+  .option('--format <type>', 'Format of output JSON file: "default" or "dtcg" (W3C Design Tokens)')
+  .option('-t, --tokens <type>', 'Also generate typed token module: "ts" (tokens.ts) or "js" (tokens.js + tokens.d.ts)')
+  .option('--tailwind', 'Also generate Tailwind CSS theme preset (tailwind.preset.js)')
+  .option('--native', 'Also generate React Native theme module (theme.native.ts)')
+  .option('--default-theme <name>', 'Palette theme declared in :root (default: first theme column)')
+  .option('--prefers-dark <name>', 'Palette theme applied with @media (prefers-color-scheme: dark)')
+  .option('--theme-files', 'Save every palette theme to its own file (variables.<theme>.scss)')
+  .option('--text-styles', 'Also generate text style mixins and classes from typekit (typography.scss)')
+  .option(
+    '--media <strategy>',
+    'Typekit media queries: "desktop-first" (max-width, default), "mobile-first" or "range"',
+  )
+  .option('--base-platform <name>', 'Typekit platform declared without media query (default: widest or narrowest)')
+  .option('--color-format <type>', 'Notation of palette colors: "hex" (hex or rgba(), default), "rgb" or "oklch"')
+  .action(
+    cliAction(async (cmd) => {
+      await runForSources('variables', exportVariables, {
+        output: cmd.output,
+        name: cmd.name,
+        forceUpdate: cmd.update,
+        offline: cmd.offline,
+        css: cmd.css,
+        source: cmd.source,
+        format: cmd.format,
+        tokens: cmd.tokens,
+        tailwind: cmd.tailwind,
+        native: cmd.native,
+        defaultTheme: cmd.defaultTheme,
+        prefersDark: cmd.prefersDark,
+        themeFiles: cmd.themeFiles,
+        textStyles: cmd.textStyles,
+        media: cmd.media,
+        basePlatform: cmd.basePlatform,
+        colorFormat: cmd.colorFormat,
+      });
+    }),
+  );
+
+// Collect palette/typekit variables from 'Palette row' and 'Typekit row' instances of the document
+// Gradient paints of single-gradient palette values are collected to gradientPaints by name and theme column
+function extractVariables(node, idMap, gradientPaints = {}) {
+  const paletteVars = {};
+  const typekitVars = {};
+
+  function traverse(node, parentName = '') {
+    if (node.visible === false) {
+      return; // Skip invisible nodes
+    }
+
+    if (node.type === 'INSTANCE' && (node.name === 'Typekit row' || node.name === 'Palette row')) {
+      const variableData = traverseChildren(node, node.name);
+
+      if (variableData && Object.keys(variableData.values).length > 0) {
+        // Save id in idMap
+        if (variableData.id) {
+          idMap[variableData['variable name']] = variableData.id;
+        }
+        if (Object.keys(variableData.gradients).length > 0) {
+          gradientPaints[variableData['variable name']] = variableData.gradients;
+        }
+        // Palette rows with several theme columns stay themed even if some column is empty,
+        // so the missing theme is reported instead of falling back to the other theme's value
+        const themed = node.name === 'Palette row' && variableData.columns.length > 1;
+        if (Object.keys(variableData.values).length === 1 && !themed) {
+          // If only one value, save it directly
+          if (node.name === 'Palette row') {
+            paletteVars[variableData['variable name']] = Object.values(variableData.values)[0];
+          } else {
+            typekitVars[variableData['variable name']] = Object.values(variableData.values)[0];
+          }
+        } else {
+          // Otherwise, save the object
+          if (node.name === 'Palette row') {
+            paletteVars[variableData['variable name']] = variableData.values;
+          } else {
+            typekitVars[variableData['variable name']] = variableData.values;
+          }
+        }
+      }
+    }
+
+    if (node.children) {
+      for (const child of node.children) {
+        traverse(child, node.name);
+      }
+    }
+  }
+
+  function traverseChildren(node, nodeType) {
+    const variableData = { values: {}, gradients: {} };
+    let id = null;
+
+    function collectValues(node, contextName) {
+      if (node.visible === false) {
+        return; // Skip invisible nodes
+      }
+
+      if (node.type === 'TEXT' && node.name === 'variable name') {
+        variableData['variable name'] = sanitize(node.characters, '-'); // Convert name
+      }
+
+      if (nodeType === 'Palette row' && node.name === 'value') {
+        const color = fillsToCss(node.fills, node.absoluteBoundingBox);
+        const visibleFills = (node.fills || []).filter((paint) => paint.visible !== false);
+        if (visibleFills.length === 1 && visibleFills[0].gradientStops) {
+          variableData.gradients[contextName] = visibleFills[0];
+        }
+        // Find id
+        if (
+          !id &&
+          node.boundVariables &&
+          node.boundVariables.fills &&
+          Array.isArray(node.boundVariables.fills) &&
+          node.boundVariables.fills[0] &&
+          node.boundVariables.fills[0].id
+        ) {
+          id = node.boundVariables.fills[0].id;
+        }
+        if (color) {
+          variableData.values[contextName] = color;
+        }
+      } else if (nodeType === 'Typekit row' && node.name === 'value') {
+        let value = node.characters;
+        // Add px if value is a number
+        if (/^\d+$/.test(value)) {
+          value = value + 'px';
+        }
+        // Find id
+        if (!id && node.boundVariables && node.boundVariables.characters && node.boundVariables.characters.id) {
+          id = node.boundVariables.characters.id;
+        }
+        variableData.values[contextName] = value;
+      }
+
+      if (node.children) {
+        for (const child of node.children) {
+          collectValues(child, contextName);
+        }
+      }
+    }
+
+    function hasNameText(node) {
+      if (node.type === 'TEXT' && node.name === 'variable name') return true;
+      return (node.children || []).some(hasNameText);
+    }
+
+    variableData.columns = [];
+    for (const child of node.children || []) {
+      const contextName = sanitize(child.name, '-'); // Use parent name
+      collectValues(child, contextName);
+      if (child.visible !== false && !hasNameText(child)) {
+        variableData.columns.push(contextName);
+      }
+    }
+
+    if (id) variableData.id = id;
+    return variableData;
+  }
+
+  traverse(node);
+  return { palette: paletteVars, typekit: typekitVars };
+}
+
+async function exportVariables({
+  output,
+  name = 'variables.json',
+  forceUpdate = false,
+  offline = false,
+  css = false,
+  source = 'rows',
+  format = 'default',
+  tokens,
+  tailwind = false,
+  native = false,
+  defaultTheme,
+  prefersDark,
+  themeFiles = false,
+  textStyles = false,
+  media = 'desktop-first',
+  basePlatform,
+  colorFormat = 'hex',
+} = {}) {
+  console.log('Exporting variables...');
+  if (!['rows', 'api'].includes(source)) {
+    throw new Error(`unknown variables source '${source}', expected 'rows' or 'api'`);
+  }
+  if (!['default', 'dtcg'].includes(format)) {
+    throw new Error(`unknown variables format '${format}', expected 'default' or 'dtcg'`);
+  }
+  if (tokens && !['ts', 'js'].includes(tokens)) {
+    throw new Error(`unknown tokens module type '${tokens}', expected 'ts' or 'js'`);
+  }
+  if (!COLOR_FORMATS.includes(colorFormat)) {
+    throw new Error(`unknown color format '${colorFormat}', expected 'hex', 'rgb' or 'oklch'`);
+  }
+  const files = [];
+  let scssOutput;
+  if (!output) {
+    output = FILE_CACHE_OUTPUT_DIR;
+    scssOutput = STYLES_OUTPUT_DIR;
+  } else {
+    scssOutput = output;
+  }
+  if (!fs.existsSync(output)) {
+    fs.mkdirSync(output, { recursive: true });
+  }
+  if (!fs.existsSync(scssOutput)) {
+    fs.mkdirSync(scssOutput, { recursive: true });
+  }
+
+  // Build palette/typekit from the Variables REST API response.
+  // COLOR variables go to palette, the rest to typekit; full collection data is kept in `collections`.
+  function extractApiVariables(meta, idMap) {
+    const paletteVars = {};
+    const typekitVars = {};
+    const collections = {};
+    const apiVariables = meta.variables || {};
+    const apiCollections = meta.variableCollections || {};
+
+    function formatApiValue(variable, value) {
+      if (variable.resolvedType === 'COLOR') {
+        return colorToHex(value);
+      }
+      if (variable.resolvedType === 'FLOAT') {
+        const scopes = variable.scopes || [];
+        const unitless = scopes.includes('FONT_WEIGHT') || scopes.includes('OPACITY');
+        return unitless ? value : `${value}px`;
+      }
+      return value;
+    }
+
+    // Follow alias chain until a concrete value; returns { value, chain }
+    function resolveApiValue(variable, modeId, chain = []) {
+      const collection = apiCollections[variable.variableCollectionId] || {};
+      const valuesByMode = variable.valuesByMode || {};
+      let value = valuesByMode[modeId];
+      if (value === undefined) {
+        value = valuesByMode[collection.defaultModeId];
+      }
+      if (value && value.type === 'VARIABLE_ALIAS') {
+        const target = apiVariables[value.id];
+        if (!target || chain.includes(target.id)) {
+          console.warn(`Unresolved alias in variable '${variable.name}'`);
+          return { value: undefined, chain };
+        }
+        const targetCollection = apiCollections[target.variableCollectionId] || {};
+        // Aliases across collections resolve in the default mode of the target collection
+        const targetModeId =
+          target.variableCollectionId === variable.variableCollectionId ? modeId : targetCollection.defaultModeId;
+        return resolveApiValue(target, targetModeId, [...chain, target.id]);
+      }
+      return { value: value === undefined ? undefined : formatApiValue(variable, value), chain };
+    }
+
+    for (const variable of Object.values(apiVariables)) {
+      const collection = apiCollections[variable.variableCollectionId];
+      if (!collection) continue;
+      const variableName = sanitize(variable.name, '-');
+      const modes = collection.modes || [];
+      const values = {};
+      const details = {};
+      for (const mode of modes) {
+        const modeName = sanitize(mode.name, '-');
+        const { value, chain } = resolveApiValue(variable, mode.modeId);
+        if (value === undefined) continue;
+        values[modeName] = value;
+        details[modeName] = chain.length
+          ? { value, aliasOf: chain.map((id) => sanitize(apiVariables[id].name, '-')) }
+          : { value };
+      }
+      if (Object.keys(values).length === 0) continue;
+
+      const target = variable.resolvedType === 'COLOR' ? paletteVars : typekitVars;
+      if (target[variableName] !== undefined) {
+        console.warn(`Duplicate variable name '${variableName}' in collection '${collection.name}', overwritten.`);
+      }
+      target[variableName] = Object.keys(values).length === 1 ? Object.values(values)[0] : values;
+      idMap[variableName] = variable.id;
+
+      if (!collections[collection.name]) {
+        collections[collection.name] = {
+          id: collection.id,
+          modes: modes.map((mode) => sanitize(mode.name, '-')),
+          variables: {},
+        };
+      }
+      collections[collection.name].variables[variableName] = {
+        id: variable.id,
+        type: variable.resolvedType,
+        scopes: variable.scopes || [],
+        values: details,
+      };
+    }
+    return { palette: paletteVars, typekit: typekitVars, collections };
+  }
+
+  const variableIds = {};
+  const gradientPaints = {};
+  let hexVariables;
+  if (source === 'api') {
+    const meta = await fetchFigmaVariables({ forceUpdate, offline });
+    hexVariables = extractApiVariables(meta, variableIds);
+  } else {
+    const fileData = await fetchFigmaFile({ forceUpdate, offline });
+    hexVariables = extractVariables(fileData.document, variableIds, gradientPaints);
+  }
+  // Stylesheets, token modules and JSON use the configured color notation,
+  // DTCG tokens and React Native theme always get hex colors
+  const variables = { ...hexVariables, palette: {} };
+  for (const [paletteName, value] of Object.entries(hexVariables.palette)) {
+    variables.palette[paletteName] =
+      typeof value === 'object' && value !== null
+        ? Object.fromEntries(
+            Object.entries(value).map(([theme, item]) => [theme, cssColorsToFormat(item, colorFormat)]),
+          )
+        : cssColorsToFormat(value, colorFormat);
+  }
+
+  const jsonFilePath = `${output}/${name}`;
+  const jsonData = format === 'dtcg' ? variablesToDtcg(hexVariables, variableIds, gradientPaints) : variables;
+  fs.writeFileSync(jsonFilePath, JSON.stringify(jsonData, null, 2));
+  files.push(jsonFilePath);
+  console.log(`Extracted variables saved to: ${jsonFilePath}` + (format === 'dtcg' ? ' (DTCG format)' : ''));
+
+  // Save a separate file with variable ids
+  const idsFilePath = `${output}/variableIds.json`;
+  fs.writeFileSync(idsFilePath, JSON.stringify(variableIds, null, 2));
+  files.push(idsFilePath);
+  console.log(`Variable ids saved to: ${idsFilePath}`);
+
+  // Styles export
+  // paletteVars and typekitVars are now taken from variables
+  const paletteVars = Object.entries(variables.palette);
+  const typekitVars = Object.entries(variables.typekit);
+
+  // Themes in order of appearance, the default one goes to :root
+  const themes = [];
+  for (const [, value] of paletteVars) {
+    if (typeof value !== 'object' || value === null) continue;
+    for (const theme of Object.keys(value)) {
+      if (!themes.includes(theme)) themes.push(theme);
+    }
+  }
+  for (const theme of [defaultTheme, prefersDark]) {
+    if (theme && !themes.includes(theme)) {
+      throw new Error(`unknown theme '${theme}', expected one of: ${themes.join(', ')}`);
+    }
+  }
+  const rootTheme = defaultTheme || themes[0];
+  const missingValues = new Set();
+  function themeDeclaration(name, value, theme, indent) {
+    if (value[theme] === undefined) {
+      if (!missingValues.has(`${name}:${theme}`)) {
+        missingValues.add(`${name}:${theme}`);
+        console.warn(
+          `[figma-export-tool] Warning: Palette variable '${name}' has no value for theme '${theme}', skipped.`,
+        );
+      }
+      return '';
+    }
+    return `${indent}--${name}: ${value[theme]};\n`;
+  }
+  function themeBlock(theme) {
+    let block = (css ? `` : `  `) + `.${theme}_mode, [data-theme='${theme}'] {\n`;
+    for (const [name, value] of paletteVars) {
+      // Single-value (mode-independent) colors are already declared in :root
+      if (typeof value !== 'object' || value === null) continue;
+      block += themeDeclaration(name, value, theme, css ? `  ` : `    `);
+    }
+    return block + (css ? `` : `  `) + `}\n`;
+  }
+
+  let styles = ':root {\n';
+  // Palette
+  styles += '  /* Palette */\n';
+  for (const [name, value] of paletteVars) {
+    if (typeof value === 'string') {
+      styles += `  --${name}: ${value};\n`;
+    } else if (typeof value === 'object' && value !== null) {
+      styles += themeDeclaration(name, value, rootTheme, '  ');
+    }
+  }
+  if (css) {
+    styles += `}\n`;
+  }
+  // Theme picked by the system color scheme goes before theme classes, so an explicitly selected theme wins
+  if (prefersDark) {
+    const declarations = paletteVars
+      .filter(([, value]) => typeof value === 'object' && value !== null)
+      .map(([name, value]) => themeDeclaration(name, value, prefersDark, '    '))
+      .join('');
+    styles += css
+      ? `@media (prefers-color-scheme: dark) {\n  :root {\n${declarations}  }\n}\n`
+      : `  @media (prefers-color-scheme: dark) {\n${declarations}  }\n`;
+  }
+  if (themeFiles) {
+    // Every theme is saved to its own file to be loaded on demand
+    for (const theme of themes) {
+      const themeFilePath = `${scssOutput}/variables.${theme}` + (css ? `.css` : `.scss`);
+      fs.writeFileSync(themeFilePath, css ? themeBlock(theme) : `:root {\n${themeBlock(theme)}}\n`);
+      files.push(themeFilePath);
+      console.log(`Theme '${theme}' saved to: ${themeFilePath}`);
+    }
+  } else {
+    for (const theme of themes) {
+      // With prefers-color-scheme the default theme needs its own class too, so it can be picked on a dark system
+      if (theme !== rootTheme || (prefersDark && prefersDark !== rootTheme)) {
+        styles += themeBlock(theme);
+      }
+    }
+  }
+
+  // Typekit
+  styles += `\n` + (css ? `` : `  `) + `/* Typekit */\n`;
+  if (css) {
+    styles += `:root {\n`;
+  }
+  // Collect the base platform and other platforms separately
+  const baseVars = [];
+  const platformVars = {};
+  const cssBreakpoints = extractBreakpoints(variables.typekit);
+  const mediaOptions = { media, basePlatform };
+  const { base, queries } = typekitMediaQueries(cssBreakpoints, typekitPlatforms(variables.typekit), {
+    ...mediaOptions,
+    scss: !css,
+  });
+  // Font weights are unitless, typekit rows add px to every bare number
+  function typekitCssValue(key, value) {
+    if (key.includes('weight') && /^\d+px$/.test(value)) {
+      return value.replace(/px$/, '');
+    }
+    return typeof value === 'string' && !/^[-+]?\d+(px|%|em|rem)?$/.test(value) ? `"${value}"` : value;
+  }
+  // For each mode with a breakpoint create a SCSS variable
+  const scssBreakpoints = Object.entries(cssBreakpoints).map(([platform, value]) => `$${platform}: ${value};`);
+  for (const [key, value] of typekitVars) {
+    if (key.includes('breakpoint')) {
+      continue; // Do not add to custom properties
+    }
+    if (typeof value === 'object') {
+      for (const platform in value) {
+        const outValue = typekitCssValue(key, value[platform]);
+        if (platform === base) {
+          baseVars.push(`  --${key}: ${outValue};`);
+        } else {
+          if (!platformVars[platform]) platformVars[platform] = [];
+          platformVars[platform].push(`    --${key}: ${outValue};`);
+        }
+      }
+    } else {
+      baseVars.push(`  --${key}: ${typekitCssValue(key, value)};`);
+    }
+  }
+  // Insert SCSS breakpoint variables and respond-to mixin before :root
+  if (!css && scssBreakpoints.length) {
+    const mixin = respondToMixin(cssBreakpoints, typekitPlatforms(variables.typekit), mediaOptions);
+    styles = scssBreakpoints.join('\n') + '\n' + (mixin ? `\n${mixin}\n` : '') + styles;
+  }
+  // Base platform
+  styles += baseVars.join('\n') + '\n';
+  if (css) {
+    styles += `}\n`;
+  }
+  // Other platforms, sorted by breakpoint so the cascade is correct
+  for (const { platform, query } of queries) {
+    if (!platformVars[platform]) continue;
+    if (css) {
+      styles += `@media ${query} {\n  :root {\n` + platformVars[platform].join('\n') + '\n  }\n';
+    } else {
+      styles += `  @media ${query} {\n` + platformVars[platform].join('\n') + '\n  }\n';
+    }
+    if (css) {
+      styles += `}\n`;
+    }
+  }
+  if (!css) {
+    styles += '}\n';
+  }
+  const stylesFilePath = `${scssOutput}/variables` + (css ? `.css` : `.scss`);
+  fs.writeFileSync(stylesFilePath, styles);
+  files.push(stylesFilePath);
+  console.log((css ? `CSS` : `SCSS`) + ` variables saved to: ${stylesFilePath}`);
+
+  // Typed token modules are saved next to the stylesheet
+  if (tokens) {
+    for (const [fileName, content] of Object.entries(variablesToTokenModules(variables, tokens))) {
+      const tokensFilePath = `${scssOutput}/${fileName}`;
+      fs.writeFileSync(tokensFilePath, content);
+      files.push(tokensFilePath);
+      console.log(`Token module saved to: ${tokensFilePath}`);
+    }
+  }
+
+  // Text styles are grouped by the shared prefix of typekit names, or by explicit groups from config
+  if (textStyles) {
+    const textStylesFilePath = `${scssOutput}/typography` + (css ? `.css` : `.scss`);
+    const groups = typeof textStyles === 'object' ? textStyles : undefined;
+    fs.writeFileSync(textStylesFilePath, variablesToTextStyles(variables, { css, groups, ...mediaOptions }));
+    files.push(textStylesFilePath);
+    console.log(`Text styles saved to: ${textStylesFilePath}`);
+  }
+
+  if (tailwind) {
+    const tailwindFilePath = `${scssOutput}/tailwind.preset.js`;
+    fs.writeFileSync(tailwindFilePath, variablesToTailwindPreset(variables));
+    files.push(tailwindFilePath);
+    console.log(`Tailwind preset saved to: ${tailwindFilePath}`);
+  }
+
+  if (native) {
+    const nativeFilePath = `${scssOutput}/theme.native.ts`;
+    fs.writeFileSync(nativeFilePath, variablesToNativeTheme(hexVariables));
+    files.push(nativeFilePath);
+    console.log(`React Native theme saved to: ${nativeFilePath}`);
+  }
+  return { data: variables, variableIds, files };
+}
+
+// Generate React Icon component and typed list of icon names from the sprite
+function iconsToComponent(names, { sprite = 'background', spriteUrl = '/icons.svg' } = {}) {
+  const header = '// Generated by figma-export from the icons sprite. Do not edit manually.\n\n';
+  const iconNames =
+    header +
+    `export const iconNames = ${toTsLiteral(names)} as const;\n\n` +
+    'export type IconName = (typeof iconNames)[number];\n\n' +
+    'export function isIconName(name: string): name is IconName {\n' +
+    '  return (iconNames as ReadonlyArray<string>).includes(name);\n' +
+    '}\n';
+
+  let component = header + "import React from 'react';\n\nimport { IconName } from './iconNames';\n\n";
+  if (sprite === 'symbol') {
+    component +=
+      'export interface IconProps extends React.SVGAttributes<SVGSVGElement> {\n' +
+      '  name: IconName;\n' +
+      '  spriteUrl?: string;\n' +
+      '}\n\n' +
+      `export function Icon({ name, spriteUrl = '${spriteUrl}', className, ...props }: IconProps): React.ReactElement {\n` +
+      "  const classes = ['icon', `icon_${name}`, className].filter(Boolean).join(' ');\n" +
+      '  return (\n' +
+      "    <svg className={classes} aria-hidden='true' {...props}>\n" +
+      '      <use href={`${spriteUrl}#${name}`} />\n' +
+      '    </svg>\n' +
+      '  );\n' +
+      '}\n';
+  } else {
+    component +=
+      'export interface IconProps extends React.HTMLAttributes<HTMLElement> {\n' +
+      '  name: IconName;\n' +
+      '  mask?: boolean;\n' +
+      '}\n\n' +
+      'export function Icon({ name, mask = false, className, ...props }: IconProps): React.ReactElement {\n' +
+      "  const classes = ['icon', `icon_${name}`, mask && 'icon_mask', className].filter(Boolean).join(' ');\n" +
+      "  return <i className={classes} aria-hidden='true' {...props} />;\n" +
+      '}\n';
+  }
+  component += '\nexport default Icon;\n';
+  return { 'iconNames.ts': iconNames, 'Icon.tsx': component };
+}
+
+// Icons of the sprite frame with coordinates relative to the frame
+function extractSpriteIcons(iconsSprite) {
+  // Get coordinates of icons_sprite
+  const spriteBox = iconsSprite.absoluteBoundingBox || { x: 0, y: 0 };
+  return iconsSprite.children.map((icon) => {
+    const box = icon.absoluteBoundingBox;
+    return {
+      id: icon.id,
+      name: sanitize(icon.name, '_'), // For icons, use _
+      // Get relative coordinates and round
+      x: box && box.x !== undefined ? Math.round(box.x - spriteBox.x) : 0,
+      y: box && box.y !== undefined ? Math.round(box.y - spriteBox.y) : 0,
+      w: icon.width !== undefined ? icon.width : box ? box.width : 24,
+      h: icon.height !== undefined ? icon.height : box ? box.height : 24,
+    };
+  });
+}
+
+/**
+ * Cleans up a single icon SVG rendered by Figma: strips editor metadata and unused ids,
+ * normalizes viewBox and replaces the main fill/stroke color with currentColor
+ * @param {string} svg - SVG markup
+ * @param {{ name: string, w: number, h: number }} icon - Icon name and size
+ * @returns {string}
+ */
+function cleanIconSvg(svg, icon) {
+  let result = svg
+    .replace(/<\?xml[^>]*>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(title|desc|metadata)[^>]*>[\s\S]*?<\/\1>/g, '')
+    .replace(/\s(data-[\w-]+|figma:[\w-]+|xmlns:figma)="[^"]*"/g, '');
+  // Keep only ids referenced inside the icon and prefix them to avoid collisions when icons are inlined
+  result = result.replace(/\sid="([^"]+)"/g, (match, id) =>
+    result.includes(`#${id})`) || result.includes(`#${id}"`) ? ` id="${icon.name}_${id}"` : '',
+  );
+  result = result
+    .replace(/url\(#([^)]+)\)/g, `url(#${icon.name}_$1)`)
+    .replace(/href="#([^"]+)"/g, `href="#${icon.name}_$1"`);
+  // viewBox always starts at 0 0 and matches the icon size
+  result = result.replace(/<svg([^>]*)>/, (match, attrs) => {
+    const width = parseFloat((/\swidth="([^"]+)"/.exec(attrs) || [])[1]) || icon.w;
+    const height = parseFloat((/\sheight="([^"]+)"/.exec(attrs) || [])[1]) || icon.h;
+    const viewBoxMatch = /\sviewBox="([^"]+)"/.exec(attrs);
+    const [, , vbWidth, vbHeight] = viewBoxMatch
+      ? viewBoxMatch[1]
+          .trim()
+          .split(/[\s,]+/)
+          .map(Number)
+      : [];
+    const viewBox = `0 0 ${vbWidth || width} ${vbHeight || height}`;
+    return `<svg${attrs.replace(/\sviewBox="[^"]*"/, '')} viewBox="${viewBox}">`;
+  });
+  // The most used color outside <defs> is the main one, other colors of multicolor icons are kept
+  const colorCounts = {};
+  const body = result.replace(/<defs>[\s\S]*?<\/defs>/g, '');
+  for (const [, , color] of body.matchAll(/\s(fill|stroke)="([^"]+)"/g)) {
+    if (color === 'none' || color.startsWith('url(')) continue;
+    colorCounts[color.toLowerCase()] = (colorCounts[color.toLowerCase()] || 0) + 1;
+  }
+  const mainColor = Object.keys(colorCounts).sort((a, b) => colorCounts[b] - colorCounts[a])[0];
+  if (mainColor) {
+    const defs = [];
+    result = result
+      .replace(/<defs>[\s\S]*?<\/defs>/g, (match) => {
+        defs.push(match);
+        return `<defs-placeholder-${defs.length - 1}/>`;
+      })
+      .replace(/\s(fill|stroke)="([^"]+)"/g, (match, attr, color) =>
+        color.toLowerCase() === mainColor ? ` ${attr}="currentColor"` : match,
+      )
+      .replace(/<defs-placeholder-(\d+)\/>/g, (match, index) => defs[index]);
+  }
+  return result.trim() + '\n';
+}
+
+// Generate index module mapping icon names to the exported SVG files
+function iconFilesToIndex(names) {
+  const identifiers = names.map((name, index) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : `icon_${index}`));
+  let index = '// Generated by figma-export from the icons sprite. Do not edit manually.\n\n';
+  names.forEach((name, i) => {
+    index += `import ${identifiers[i]} from './${name}.svg';\n`;
+  });
+  index += '\nexport const icons = {\n';
+  names.forEach((name, i) => {
+    const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : toTsLiteral(name);
+    index += key === identifiers[i] ? `  ${key},\n` : `  ${key}: ${identifiers[i]},\n`;
+  });
+  index += '} as const;\n\nexport type IconFileName = keyof typeof icons;\n';
+  return index;
+}
+
+program
+  .command('icons')
+  .description('Extract icons from Figma and generate icons.scss with icons.svg sprite')
+  .option('-f, --frame <type>', 'Frame name (default: ICONS_SPRITE from .env or "icon_sprite")')
+  .option('-o, --output <type>', 'Output directory')
+  .option('-n, --name <type>', 'Name of output file (default: "icons")')
+  .option('-u, --update', 'Force update from Figma API, ignore local cache')
+  .option('--offline', 'Use local cache only, never check Figma API for updates')
+  .option('-c, --css', 'Render CSS code instead of SCSS')
+  .option(
+    '-s, --sprite <mode>',
+    'Sprite mode: "background" (render the sprite frame, default), "symbol" (<symbol> sprite for <use>) or "none"',
+  )
+  .option(
+    '-m, --mode <type>',
+    'Export mode: "sprite" (stylesheet with sprite, default) or "files" (separate SVG files)',
+  )
+  .option('--component [dir]', 'Also generate React Icon component and IconName type (to output directory by default)')
+  .option('--sprite-url <url>', 'Sprite URL used by Icon component in symbol mode (default: "/icons.svg")')
+  .action(
+    cliAction(async (cmd) => {
+      await runForSources('icons', exportIcons, {
+        output: cmd.output,
+        name: cmd.name,
+        frame: cmd.frame,
+        forceUpdate: cmd.update,
+        offline: cmd.offline,
+        css: cmd.css,
+        mode: cmd.mode,
+        sprite: cmd.sprite,
+        component: cmd.component,
+        spriteUrl: cmd.spriteUrl,
+      });
+    }),
+  );
+
+async function exportIcons({
+  frame = ICONS_SPRITE,
+  output,
+  name = 'icons',
+  forceUpdate = false,
+  offline = false,
+  css = false,
+  mode = 'sprite',
+  sprite = 'background',
+  component = false,
+  spriteUrl = `/${name}.svg`,
+} = {}) {
+  console.log(mode === 'files' ? 'Exporting icon files...' : 'Exporting icons sprite...');
+  if (!['sprite', 'files'].includes(mode)) {
+    throw new Error(`unknown icons mode '${mode}', expected 'sprite' or 'files'`);
+  }
+  if (!['background', 'symbol', 'none'].includes(sprite)) {
+    throw new Error(`unknown sprite mode '${sprite}', expected 'background', 'symbol' or 'none'`);
+  }
+  const files = [];
+
+  // Render a single node as SVG markup
+  async function downloadSvg(nodeId, nodeName) {
+    const imageUrls = await fetchImageUrls([nodeId], { format: 'svg' });
+    if (!imageUrls[nodeId]) {
+      throw new Error(`Failed to render '${nodeName}' as SVG`);
+    }
+    const response = await figmaClient.download(imageUrls[nodeId], { responseType: 'text' });
+    return String(response.data);
+  }
+
+  // Render every icon as SVG, results keep the order of the sprite frame; icons failed to render are skipped
+  async function downloadIconSvgs(icons) {
+    const imageUrls = await fetchImageUrls(
+      icons.map((icon) => icon.id),
+      { format: 'svg' },
+    );
+    const svgs = new Map();
+    await runWithConcurrency(icons, 5, async (icon) => {
+      if (!imageUrls[icon.id]) {
+        console.warn(`No SVG rendered for icon '${icon.name}', skipped.`);
+        return;
+      }
+      const response = await figmaClient.download(imageUrls[icon.id], { responseType: 'text' });
+      svgs.set(icon, String(response.data));
+    });
+    return icons.filter((icon) => svgs.has(icon)).map((icon) => ({ icon, svg: svgs.get(icon) }));
+  }
+
+  // Combine icons into <symbol> elements, ids inside icons are prefixed to stay unique
+  async function renderSymbolSprite(icons) {
+    const symbols = (await downloadIconSvgs(icons)).map(({ icon, svg }) => {
+      const viewBoxMatch = /<svg[^>]*\sviewBox="([^"]+)"/.exec(svg);
+      const viewBox = viewBoxMatch ? viewBoxMatch[1] : `0 0 ${icon.w} ${icon.h}`;
+      const content = svg
+        .replace(/^[\s\S]*?<svg[^>]*>/, '')
+        .replace(/<\/svg>\s*$/, '')
+        .replace(/\sid="([^"]+)"/g, ` id="${icon.name}_$1"`)
+        .replace(/url\(#([^)]+)\)/g, `url(#${icon.name}_$1)`)
+        .replace(/href="#([^"]+)"/g, `href="#${icon.name}_$1"`)
+        .trim();
+      return `  <symbol id="${icon.name}" viewBox="${viewBox}">\n    ${content}\n  </symbol>`;
+    });
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" style="display: none">\n` +
+      symbols.join('\n') +
+      `\n</svg>\n`
+    );
+  }
+
+  // Save every icon as a separate optimized SVG file with an index module
+  async function exportIconFiles(icons) {
+    if (offline) {
+      throw new Error('icon files can not be rendered in offline mode');
+    }
+    const filesOutput = `${output}/${name}`;
+    if (!fs.existsSync(filesOutput)) {
+      fs.mkdirSync(filesOutput, { recursive: true });
+    }
+    const exportedNames = [];
+    for (const { icon, svg } of await downloadIconSvgs(icons)) {
+      const filePath = `${filesOutput}/${icon.name}.svg`;
+      fs.writeFileSync(filePath, cleanIconSvg(svg, icon));
+      files.push(filePath);
+      exportedNames.push(icon.name);
+      console.log(`Exported: ${filePath}`);
+    }
+    const indexFilePath = `${filesOutput}/index.ts`;
+    fs.writeFileSync(indexFilePath, iconFilesToIndex(exportedNames));
+    files.push(indexFilePath);
+    console.log(`Icons index module saved to: ${indexFilePath}`);
+    console.log(`Icons exported: ${exportedNames.length}, failed: ${icons.length - exportedNames.length}`);
+  }
+
+  if (!output) {
+    output = STYLES_OUTPUT_DIR;
+  }
+  if (!fs.existsSync(output)) {
+    fs.mkdirSync(output, { recursive: true });
+  }
+  const fileData = await fetchFigmaFile({ forceUpdate, offline, frames: [frame] });
+  // Search for icons_sprite
+  function findIconsSprite(node) {
+    if (node.name === frame) return node;
+    if (node.children) {
+      for (const child of node.children) {
+        const found = findIconsSprite(child);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+  const iconsSprite = findIconsSprite(fileData.document);
+  if (!iconsSprite || !iconsSprite.children) {
+    throw new Error('icons_sprite not found or has no children');
+  }
+  const icons = extractSpriteIcons(iconsSprite);
+  if (mode === 'files') {
+    await exportIconFiles(icons);
+    return { data: icons, files };
+  }
+  // Generate SCSS/CSS code
+  const spriteFileName = `${name}.svg`;
+  let styles = '';
+  if (sprite === 'symbol') {
+    // <svg class="icon icon_name"><use href="icons.svg#name" /></svg>
+    styles += `.icon {display: inline-block; vertical-align: top; width: 24px; height: 24px; fill: currentColor;`;
+    styles += css ? `}\n` : `\n`;
+  } else if (css) {
+    styles += `.icon {display: inline-block; vertical-align: top; width: 24px; height: 24px;\n background: url(${spriteFileName});  --bg-position: 0 0; background-position: var(--bg-position); background-repeat: no-repeat;}\n`;
+    styles += `.icon_mask {background: var(--text-primary); mask-image: url(${spriteFileName}); mask-repeat: no-repeat; mask-position: var(--bg-position);}\n`;
+  } else {
+    styles += `.icon {display: inline-block; vertical-align: top; width: 24px; height: 24px;\n background: url(${spriteFileName});  --bg-position: 0 0; background-position: var(--bg-position); background-repeat: no-repeat;\n`;
+    styles += `  &_mask {background: var(--text-primary); mask-image: url(${spriteFileName}); mask-repeat: no-repeat; mask-position: var(--bg-position);}\n`;
+  }
+  for (const { name, x, y, w, h } of icons) {
+    let sizeRule = '';
+    // Check size
+    if (w !== 24 || h !== 24) {
+      sizeRule = ` width: ${w}px; height: ${h}px;`;
+    }
+    const rule = sprite === 'symbol' ? sizeRule.trim() : `--bg-position: -${x}px -${y}px;${sizeRule}`;
+    if (sprite === 'symbol' && !rule) continue;
+    if (css) {
+      styles += `.icon_${name} {${rule}}\n`;
+    } else {
+      styles += `  &_${name} {${rule}}\n`;
+    }
+  }
+  if (!css) {
+    styles += `}`;
+  }
+  const stylesFilePath = `${output}/${name}` + (css ? `.css` : `.scss`);
+  fs.writeFileSync(stylesFilePath, styles);
+  files.push(stylesFilePath);
+  console.log(`Icons ` + (css ? `CSS` : `SCSS`) + ` saved to: ${stylesFilePath}`);
+
+  // Sprite file referenced by the stylesheet
+  if (sprite !== 'none' && offline) {
+    console.warn('[figma-export-tool] Warning: Icons sprite is not rendered in offline mode.');
+  } else if (sprite !== 'none') {
+    const spriteFilePath = `${output}/${spriteFileName}`;
+    const spriteSvg =
+      sprite === 'symbol' ? await renderSymbolSprite(icons) : await downloadSvg(iconsSprite.id, iconsSprite.name);
+    fs.writeFileSync(spriteFilePath, spriteSvg);
+    files.push(spriteFilePath);
+    console.log(`Icons sprite saved to: ${spriteFilePath}`);
+  }
+
+  if (component) {
+    const componentOutput = typeof component === 'string' ? component : output;
+    if (!fs.existsSync(componentOutput)) {
+      fs.mkdirSync(componentOutput, { recursive: true });
+    }
+    const iconNames = [...new Set(icons.map((icon) => icon.name))];
+    if (iconNames.length !== icons.length) {
+      console.warn('[figma-export-tool] Warning: Icons sprite has duplicate icon names.');
+    }
+    for (const [fileName, content] of Object.entries(iconsToComponent(iconNames, { sprite, spriteUrl }))) {
+      const componentFilePath = `${componentOutput}/${fileName}`;
+      fs.writeFileSync(componentFilePath, content);
+      files.push(componentFilePath);
+      console.log(`Icon component saved to: ${componentFilePath}`);
+    }
+  }
+  return { data: icons, files };
+}
+
+/**
+ * Generates images.ts mapping every exported node to its files, intrinsic size and srcSet
+ * @param {Object[]} entries - Images manifest entries
+ * @param {string} publicPath - Public URL of the images directory
+ * @returns {string}
+ */
+function imagesToModule(entries, publicPath = '/img') {
+  const nodes = new Map();
+  for (const entry of entries) {
+    if (!nodes.has(entry.id)) nodes.set(entry.id, []);
+    nodes.get(entry.id).push(entry);
+  }
+  const images = {};
+  for (const nodeEntries of nodes.values()) {
+    const name = sanitize(nodeEntries[0].name, '_');
+    if (images[name]) {
+      console.warn(`[figma-export-tool] Warning: Duplicate image name '${name}' in images module, skipped.`);
+      continue;
+    }
+    const files = nodeEntries
+      .map((entry) => ({
+        src: `${publicPath}/${entry.file}`,
+        format: entry.format,
+        scale: entry.scale,
+        suffix: (entry.setting && entry.setting.suffix) || '',
+      }))
+      .sort((a, b) => a.scale - b.scale);
+    // The @1x file is the main source, srcSet lists @1x/@2x/@3x files of the same format
+    const main = files.find((file) => file.scale === 1) || files[0];
+    const srcSetFiles = files.filter((file) => file.format === main.format && [1, 2, 3].includes(file.scale));
+    images[name] = {
+      src: main.src,
+      width: nodeEntries[0].width || 0,
+      height: nodeEntries[0].height || 0,
+      ...(srcSetFiles.length > 1 ? { srcSet: srcSetFiles.map((file) => `${file.src} ${file.scale}x`).join(', ') } : {}),
+      files,
+    };
+  }
+  return (
+    '// Generated by figma-export from exportable nodes. Do not edit manually.\n\n' +
+    `export const images = ${toTsLiteral(images)} as const;\n\n` +
+    'export type ImageName = keyof typeof images;\n'
+  );
+}
+
+program
+  .command('images')
   .description('Export images for elements with exportSettings from Figma')
   .option('-o, --output <type>', 'Output directory')
   .option('-f, --frame <type>', 'Frame name (optional)')
   .option('--list', 'List all exportable images without downloading')
+  .option('--full', 'Download all images again, ignore unchanged nodes from the images manifest')
   .option('-u, --update', 'Force update from Figma API, ignore local cache')
-  .action(async (cmd) => {
-    await exportImages({
-      output: cmd.output,
-      frame: cmd.frame,
-      list: cmd.list,
-      forceUpdate: !!cmd.update,
-    });
-  });
+  .option('--offline', 'Use local cache only, never check Figma API for updates')
+  .option('--concurrency <number>', 'Number of parallel downloads (default: 5)', parseInt)
+  .option('--batch-size <number>', 'Number of nodes rendered with one API request (default: 50)', parseInt)
+  .option(
+    '--retries <number>',
+    'Number of retries for rate limited (429) and failed (5xx) requests (default: FIGMA_RETRIES or 3)',
+    parseInt,
+  )
+  .option(
+    '--module [dir]',
+    'Also generate typed images.ts module with sizes and srcSet (to output directory by default)',
+  )
+  .option('--public-path <path>', 'Public URL of the images directory used in images.ts (default: "/img")')
+  .action(
+    cliAction(async (cmd) => {
+      const results = await runForSources('images', exportImages, {
+        output: cmd.output,
+        frame: cmd.frame,
+        list: cmd.list,
+        full: cmd.full,
+        forceUpdate: cmd.update,
+        offline: cmd.offline,
+        concurrency: cmd.concurrency,
+        batchSize: cmd.batchSize,
+        retries: cmd.retries,
+        imagesModule: cmd.module,
+        publicPath: cmd.publicPath,
+      });
+      if (results.some((result) => result.failed && result.failed.length > 0)) {
+        process.exitCode = 1;
+      }
+    }),
+  );
 
-async function exportImages({ output, frame, list = false, forceUpdate = false } = {}) {
+async function exportImages({
+  output,
+  frame,
+  list = false,
+  full = false,
+  forceUpdate = false,
+  offline = false,
+  concurrency = 5,
+  batchSize = 50,
+  retries,
+  imagesModule = false,
+  publicPath = '/img',
+} = {}) {
   console.log('Exporting images...');
   if (!output) {
     output = IMAGES_OUTPUT_DIR;
@@ -529,187 +2300,999 @@ async function exportImages({ output, frame, list = false, forceUpdate = false }
   if (!list && !fs.existsSync(output)) {
     fs.mkdirSync(output, { recursive: true });
   }
-  try {
-    const fileData = await fetchFigmaFile({ forceUpdate });
-    // Search for the specified frame, if provided
-    let searchRoot = fileData.document;
-    if (frame) {
-      function findFrame(node) {
-        if (node.name === frame) return node;
-        if (node.children) {
-          for (const child of node.children) {
-            const found = findFrame(child);
-            if (found) return found;
-          }
+  const fileData = await fetchFigmaFile({ forceUpdate, offline, frames: frame ? [frame] : undefined });
+  // Search for the specified frame, if provided
+  let searchRoot = fileData.document;
+  if (frame) {
+    function findFrame(node) {
+      if (node.name === frame) return node;
+      if (node.children) {
+        for (const child of node.children) {
+          const found = findFrame(child);
+          if (found) return found;
         }
-        return null;
       }
-      const frameNode = findFrame(fileData.document);
-      if (!frameNode) {
-        console.log(`Frame '${frame}' not found.`);
-        return;
+      return null;
+    }
+    const frameNode = findFrame(fileData.document);
+    if (!frameNode) {
+      console.log(`Frame '${frame}' not found.`);
+      return { data: [], files: [] };
+    }
+    searchRoot = frameNode;
+  }
+  // Recursive search for all visible nodes with exportSettings
+  function findExportableNodes(node, result = []) {
+    if (node.visible === false) return result;
+    if (node.exportSettings && node.exportSettings.length > 0) {
+      result.push(node);
+    }
+    if (node.children) {
+      for (const child of node.children) {
+        findExportableNodes(child, result);
       }
-      searchRoot = frameNode;
     }
-    // Recursive search for all visible nodes with exportSettings
-    function findExportableNodes(node, result = []) {
-      if (node.visible === false) return result;
-      if (node.exportSettings && node.exportSettings.length > 0) {
-        result.push(node);
+    return result;
+  }
+  const exportableNodes = findExportableNodes(searchRoot);
+  if (exportableNodes.length === 0) {
+    console.log('No elements with exportSettings found.');
+    return { data: [], files: [] };
+  }
+  // Collect all images with request parameters
+  const imagesList = [];
+  for (const node of exportableNodes) {
+    const hash = hashNode(node);
+    for (const setting of node.exportSettings) {
+      const format = (setting.format || 'png').toLowerCase();
+      const suffix = setting.suffix || '';
+      const scale = getExportScale(node, setting);
+      const box = node.absoluteBoundingBox || {};
+      imagesList.push({
+        node,
+        name: node.name,
+        id: node.id,
+        setting,
+        format,
+        suffix,
+        scale,
+        hash,
+        key: `${node.id}:${format}@${scale}${suffix}`,
+        file: `${sanitize(node.name, '_')}${suffix}.${format}`,
+        width: Math.round(box.width || 0),
+        height: Math.round(box.height || 0),
+      });
+    }
+  }
+  if (list) {
+    console.log(`Total exportable images: ${imagesList.length}`);
+    if (imagesList.length < 100) {
+      for (const img of imagesList) {
+        console.log(
+          `Name: ${img.name}, ID: ${img.id}, Format: ${img.format}, Suffix: ${img.suffix}, Scale: ${img.scale}`,
+        );
       }
-      if (node.children) {
-        for (const child of node.children) {
-          findExportableNodes(child, result);
-        }
+    } else {
+      console.log('Too many images to list individually.');
+    }
+    return { data: imagesList.map(({ node, ...img }) => img), files: [] };
+  }
+  // Manifest of previously exported images, entries of other frames are kept untouched
+  const manifestPath = `${output}/images.manifest.json`;
+  const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) : { images: [] };
+  const frameKey = frame || null;
+  const previous = new Map(
+    manifest.images.filter((entry) => entry.frame === frameKey).map((entry) => [entry.key, entry]),
+  );
+  const unchanged = [];
+  const pending = [];
+  for (const img of imagesList) {
+    const entry = previous.get(img.key);
+    if (
+      !full &&
+      entry &&
+      entry.hash === img.hash &&
+      entry.file === img.file &&
+      fs.existsSync(`${output}/${img.file}`)
+    ) {
+      // Size is refreshed as older manifests have no dimensions
+      unchanged.push({ ...entry, width: img.width, height: img.height });
+    } else {
+      pending.push(img);
+    }
+  }
+  // Rendering needs the images API, so new and changed images keep their previous files in offline mode
+  const skipped = offline ? pending.splice(0) : [];
+  if (skipped.length > 0) {
+    console.warn(
+      `[figma-export-tool] Warning: ${skipped.length} new or changed images are not rendered in offline mode.`,
+    );
+  }
+  // Group images by format and scale, so many node ids are rendered with one request
+  const groups = new Map();
+  for (const img of pending) {
+    if (!img.id || typeof img.id !== 'string') {
+      console.warn(`Invalid nodeId for node: ${img.name}`);
+      continue;
+    }
+    // Check supported formats
+    if (!['svg', 'png', 'jpg', 'pdf'].includes(img.format)) {
+      console.warn(`Unsupported format '${img.format}' for node: ${img.name} (${img.id}). Skipped.`);
+      continue;
+    }
+    const key = `${img.format}@${img.scale}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(img);
+  }
+  const failures = [];
+  const downloads = [];
+  for (const images of groups.values()) {
+    const { format, scale } = images[0];
+    const ids = [...new Set(images.map((img) => img.id))];
+    const imageUrls = await fetchImageUrls(ids, { format, scale, batchSize, retries });
+    for (const img of images) {
+      if (imageUrls[img.id]) {
+        downloads.push({ ...img, url: imageUrls[img.id] });
+      } else {
+        failures.push({ ...img, reason: 'no image URL' });
       }
-      return result;
     }
-    const exportableNodes = findExportableNodes(searchRoot);
-    if (exportableNodes.length === 0) {
-      console.log('No elements with exportSettings found.');
-      return;
-    }
-    if (list) {
-      // Collect all images
-      const imagesList = [];
-      for (const node of exportableNodes) {
-        for (const setting of node.exportSettings) {
-          let format = (setting.format || 'png').toLowerCase();
-          const suffix = setting.suffix || '';
-          let scale = 1;
-          if (setting.constraint && typeof setting.constraint.value === 'number') {
-            if (setting.constraint.type === 'SCALE') {
-              scale = setting.constraint.value;
-            } else if (
-              setting.constraint.type === 'WIDTH' &&
-              node.absoluteBoundingBox &&
-              node.absoluteBoundingBox.width
-            ) {
-              scale = setting.constraint.value / node.absoluteBoundingBox.width;
-            } else if (
-              setting.constraint.type === 'HEIGHT' &&
-              node.absoluteBoundingBox &&
-              node.absoluteBoundingBox.height
-            ) {
-              scale = setting.constraint.value / node.absoluteBoundingBox.height;
-            } else {
-              scale = 1;
-            }
-            if (scale < 0.01) scale = 0.01;
-            if (scale > 4) scale = 4;
+  }
+  // Download images in parallel under concurrency limit
+  const exported = [];
+  await runWithConcurrency(downloads, concurrency, async (img) => {
+    try {
+      const imageResp = await figmaClient.download(img.url, { responseType: 'arraybuffer', retries });
+      fs.writeFileSync(`${output}/${img.file}`, Buffer.from(imageResp.data));
+      exported.push(img);
+    } catch (err) {
+      failures.push({ ...img, reason: err.message });
+    }
+  });
+  // Failed images keep their previous entry, so they are retried on the next run
+  const entries = [
+    ...unchanged,
+    ...exported.map((img) => ({
+      key: img.key,
+      frame: frameKey,
+      id: img.id,
+      name: img.name,
+      setting: img.setting,
+      format: img.format,
+      scale: img.scale,
+      hash: img.hash,
+      file: img.file,
+      width: img.width,
+      height: img.height,
+    })),
+    ...[...failures, ...skipped].filter((img) => previous.has(img.key)).map((img) => previous.get(img.key)),
+  ];
+  const currentFiles = new Set(
+    [...entries, ...manifest.images.filter((entry) => entry.frame !== frameKey)].map((entry) => entry.file),
+  );
+  const added = exported.filter((img) => !previous.has(img.key));
+  const updated = exported.filter((img) => previous.has(img.key));
+  const removed = [...previous.values()].filter(
+    (entry) => !entries.some((e) => e.key === entry.key && e.file === entry.file),
+  );
+  for (const entry of removed) {
+    if (!currentFiles.has(entry.file) && fs.existsSync(`${output}/${entry.file}`)) {
+      fs.unlinkSync(`${output}/${entry.file}`);
+    }
+  }
+  manifest.images = [...manifest.images.filter((entry) => entry.frame !== frameKey), ...entries].sort(
+    (a, b) => a.file.localeCompare(b.file) || a.key.localeCompare(b.key),
+  );
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  let moduleFilePath;
+  if (imagesModule) {
+    const moduleOutput = typeof imagesModule === 'string' ? imagesModule : output;
+    if (!fs.existsSync(moduleOutput)) {
+      fs.mkdirSync(moduleOutput, { recursive: true });
+    }
+    moduleFilePath = `${moduleOutput}/images.ts`;
+    fs.writeFileSync(moduleFilePath, imagesToModule(manifest.images, publicPath));
+    console.log(`Images module saved to: ${moduleFilePath}`);
+  }
+  for (const img of added) console.log(`Added: ${output}/${img.file}`);
+  for (const img of updated) console.log(`Updated: ${output}/${img.file}`);
+  for (const entry of removed) console.log(`Removed: ${output}/${entry.file}`);
+  console.log(
+    `Images added: ${added.length}, updated: ${updated.length}, removed: ${removed.length}, unchanged: ${unchanged.length}, failed: ${failures.length}`,
+  );
+  for (const img of failures) {
+    console.error(
+      `Failed: ${img.name} (${img.id}) [format: ${img.format}, scale: ${img.scale}${img.suffix ? `, suffix: ${img.suffix}` : ''}]: ${img.reason}`,
+    );
+  }
+  const filePath = (item) => `${output}/${item.file}`;
+  return {
+    data: entries,
+    files: [...exported.map(filePath), ...(moduleFilePath ? [moduleFilePath] : [])],
+    added: added.map(filePath),
+    updated: updated.map(filePath),
+    removed: removed.map(filePath),
+    failed: failures.map(({ node, ...img }) => img),
+    skipped: skipped.map(filePath),
+  };
+}
+
+// Export functions by config command name, in the order used by the all command
+const EXPORT_COMMANDS = {
+  content: exportContent,
+  variables: exportVariables,
+  icons: exportIcons,
+  images: exportImages,
+};
+
+program
+  .command('all')
+  .description('Run all export commands: content, variables, icons, images (or commands of every config source)')
+  .option('-u, --update', 'Force update from Figma API, ignore local cache')
+  .option('--offline', 'Use local cache only, never check Figma API for updates')
+  .action(async (cmd) => {
+    try {
+      const options = { forceUpdate: cmd.update, offline: cmd.offline };
+      const results = [];
+      if (projectConfig) {
+        // Commands like markup, lint and components need their own run, so all only points them out
+        const only = program.opts().only;
+        for (const source of projectConfig.sources.filter((source) => !only || source.name === only)) {
+          const skipped = Object.keys(source.commands).filter((command) => !EXPORT_COMMANDS[command]);
+          if (skipped.length > 0) {
+            console.warn(
+              `[figma-export-tool] Warning: Source '${source.name}' declares ${skipped.map((c) => `'${c}'`).join(', ')} that the all command does not run, run them separately`,
+            );
           }
-          imagesList.push({
-            name: node.name,
-            id: node.id,
-            format,
-            suffix,
-            scale,
-          });
         }
-      }
-      console.log(`Total exportable images: ${imagesList.length}`);
-      if (imagesList.length < 100) {
-        for (const img of imagesList) {
-          console.log(
-            `Name: ${img.name}, ID: ${img.id}, Format: ${img.format}, Suffix: ${img.suffix}, Scale: ${img.scale}`,
+        for (const command of Object.keys(EXPORT_COMMANDS)) {
+          if (command === 'content' && cmd.offline) continue;
+          results.push(
+            ...(await runForSources(command, EXPORT_COMMANDS[command], command === 'content' ? {} : options, true)),
           );
         }
       } else {
-        console.log('Too many images to list individually.');
-      }
-      return;
-    }
-    // Get images via Figma API
-    for (const node of exportableNodes) {
-      for (const setting of node.exportSettings) {
-        // Form request parameters
-        let format = (setting.format || 'png').toLowerCase();
-        const suffix = setting.suffix || '';
-        let scale = 1;
-        if (setting.constraint && typeof setting.constraint.value === 'number') {
-          if (setting.constraint.type === 'SCALE') {
-            scale = setting.constraint.value;
-          } else if (
-            setting.constraint.type === 'WIDTH' &&
-            node.absoluteBoundingBox &&
-            node.absoluteBoundingBox.width
-          ) {
-            scale = setting.constraint.value / node.absoluteBoundingBox.width;
-          } else if (
-            setting.constraint.type === 'HEIGHT' &&
-            node.absoluteBoundingBox &&
-            node.absoluteBoundingBox.height
-          ) {
-            scale = setting.constraint.value / node.absoluteBoundingBox.height;
-          } else {
-            scale = 1;
-          }
-          if (scale < 0.01) scale = 0.01;
-          if (scale > 4) scale = 4;
+        if (!cmd.offline) {
+          await exportContent();
+        }
+        await exportVariables(options);
+        await exportIcons(options);
+        results.push(await exportImages(options));
+      }
+      // Images that failed to download are listed by the images export, the run still continues
+      if (results.some((result) => result.failed && result.failed.length > 0)) {
+        process.exitCode = 1;
+      }
+      console.log('All exports completed successfully.');
+    } catch (error) {
+      console.error('Error in all command:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Commands working with one file use the source picked with --only or the first source of the project config
+function useSingleSource() {
+  if (!projectConfig) return;
+  const only = program.opts().only;
+  const source = only ? projectConfig.sources.find((item) => item.name === only) : projectConfig.sources[0];
+  if (!source) {
+    throw new Error(`Source '${only}' not found in ${projectConfig.path}`);
+  }
+  console.log(`[figma-export-tool] Source '${source.name}'`);
+  useSource(source);
+}
+
+// Load a saved Figma file dump: binary cache (.v8) or JSON
+function readFigmaDump(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Figma file dump not found: ${filePath}`);
+  }
+  const buffer = fs.readFileSync(filePath);
+  return filePath.endsWith('.v8') ? v8.deserialize(buffer) : JSON.parse(buffer.toString('utf-8'));
+}
+
+// Compare two maps by key, values are compared by their JSON
+function diffMaps(before, after) {
+  const result = { added: [], removed: [], changed: [] };
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in before)) {
+      result.added.push({ name: key, value });
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+      result.changed.push({ name: key, before: before[key], after: value });
+    }
+  }
+  for (const [key, value] of Object.entries(before)) {
+    if (!(key in after)) {
+      result.removed.push({ name: key, value });
+    }
+  }
+  return result;
+}
+
+/**
+ * Compares two Figma file dumps: palette and typekit values, variable ids, sprite icons and components
+ * @param {Object} before - Old Figma file data
+ * @param {Object} after - New Figma file data
+ * @param {{ iconsFrame?: string }} options - Name of the icons sprite frame
+ * @returns {Object} Report with added/removed/changed entries for every section
+ */
+function diffFigmaFiles(before, after, { iconsFrame = ICONS_SPRITE } = {}) {
+  // Themed values are compared per theme: name.theme
+  function flattenVariables(variables) {
+    const flat = {};
+    for (const [name, value] of Object.entries(variables)) {
+      if (value && typeof value === 'object') {
+        for (const [mode, modeValue] of Object.entries(value)) {
+          flat[`${name}.${mode}`] = modeValue;
+        }
+      } else {
+        flat[name] = value;
+      }
+    }
+    return flat;
+  }
+
+  function findNode(node, name) {
+    if (node.name === name) return node;
+    for (const child of node.children || []) {
+      const found = findNode(child, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function spriteIcons(fileData) {
+    const iconsSprite = findNode(fileData.document, iconsFrame);
+    const icons = iconsSprite && iconsSprite.children ? extractSpriteIcons(iconsSprite) : [];
+    return Object.fromEntries(icons.map(({ name, x, y, w, h }) => [name, { x, y, w, h }]));
+  }
+
+  // Component sets are compared as a whole, standalone components one by one
+  function collectComponents(node, page = null, result = {}) {
+    if (node.type === 'COMPONENT_SET' || node.type === 'COMPONENT') {
+      result[node.id] = { name: node.name, page, hash: hashNode(node) };
+      return result;
+    }
+    for (const child of node.children || []) {
+      collectComponents(child, node.type === 'CANVAS' ? node.name : page, result);
+    }
+    return result;
+  }
+
+  const beforeIds = {};
+  const afterIds = {};
+  const beforeVariables = extractVariables(before.document, beforeIds);
+  const afterVariables = extractVariables(after.document, afterIds);
+
+  const icons = diffMaps(spriteIcons(before), spriteIcons(after));
+  const components = diffMaps(collectComponents(before.document), collectComponents(after.document));
+  const componentInfo = ({ name, page }) => ({ name, page });
+  return {
+    palette: diffMaps(flattenVariables(beforeVariables.palette), flattenVariables(afterVariables.palette)),
+    typekit: diffMaps(flattenVariables(beforeVariables.typekit), flattenVariables(afterVariables.typekit)),
+    variableIds: { changed: diffMaps(beforeIds, afterIds).changed },
+    icons: {
+      added: icons.added.map((icon) => icon.name),
+      removed: icons.removed.map((icon) => icon.name),
+      moved: icons.changed,
+    },
+    components: {
+      added: components.added.map((component) => componentInfo(component.value)),
+      removed: components.removed.map((component) => componentInfo(component.value)),
+      changed: components.changed.map((component) => componentInfo(component.after)),
+    },
+  };
+}
+
+// Render diff report as plain text or Markdown
+function formatDiffReport(report, markdown = false) {
+  const value = (v) => (typeof v === 'object' ? JSON.stringify(v) : String(v));
+  const code = (v) => (markdown ? `\`${v}\`` : v);
+  const box = ({ x, y, w, h }) => `${x},${y} ${w}x${h}`;
+  const component = ({ name, page }) => (page ? `${name} (${page})` : name);
+  const sections = [
+    {
+      title: 'Palette',
+      added: report.palette.added.map((e) => `${code(e.name)}: ${code(value(e.value))}`),
+      removed: report.palette.removed.map((e) => `${code(e.name)}: ${code(value(e.value))}`),
+      changed: report.palette.changed.map((e) => `${code(e.name)}: ${code(value(e.before))} → ${code(value(e.after))}`),
+    },
+    {
+      title: 'Typekit',
+      added: report.typekit.added.map((e) => `${code(e.name)}: ${code(value(e.value))}`),
+      removed: report.typekit.removed.map((e) => `${code(e.name)}: ${code(value(e.value))}`),
+      changed: report.typekit.changed.map((e) => `${code(e.name)}: ${code(value(e.before))} → ${code(value(e.after))}`),
+    },
+    {
+      title: 'Variable ids',
+      changed: report.variableIds.changed.map((e) => `${code(e.name)}: ${code(e.before)} → ${code(e.after)}`),
+    },
+    {
+      title: 'Icons',
+      added: report.icons.added.map(code),
+      removed: report.icons.removed.map(code),
+      moved: report.icons.moved.map((e) => `${code(e.name)}: ${box(e.before)} → ${box(e.after)}`),
+    },
+    {
+      title: 'Components',
+      added: report.components.added.map(component),
+      removed: report.components.removed.map(component),
+      changed: report.components.changed.map(component),
+    },
+  ];
+  const signs = { added: '+', removed: '-', changed: '~', moved: '~' };
+  let result = markdown ? '# Figma changes\n' : '';
+  for (const section of sections) {
+    const kinds = Object.keys(signs).filter((kind) => section[kind]);
+    const total = kinds.reduce((sum, kind) => sum + section[kind].length, 0);
+    if (total === 0) continue;
+    const summary = kinds.map((kind) => `${section[kind].length} ${kind}`).join(', ');
+    result += markdown ? `\n## ${section.title}\n\n${summary}\n\n` : `${section.title}: ${summary}\n`;
+    for (const kind of kinds) {
+      for (const line of section[kind]) {
+        result += markdown ? `- ${kind}: ${line}\n` : `  ${signs[kind]} ${line}\n`;
+      }
+    }
+  }
+  if (result === '' || result === '# Figma changes\n') {
+    result += markdown ? '\nNo changes found.\n' : 'No changes found.\n';
+  }
+  return result;
+}
+
+program
+  .command('diff [before] [after]')
+  .description(
+    'Compare two Figma file dumps (.v8 or .json), by default the local cache with the current version from Figma API',
+  )
+  .option('-f, --frame <name>', 'Icons sprite frame name')
+  .option('-u, --update', 'Force update from Figma API, ignore local cache')
+  .option('--json <file>', 'Save the report as JSON')
+  .option('--markdown <file>', 'Save the report as Markdown')
+  .action(
+    cliAction(async (beforePath, afterPath, cmd) => {
+      useSingleSource();
+      const cachePath = `${FILE_CACHE_OUTPUT_DIR}/figmaFileContent.v8`;
+      const before = readFigmaDump(
+        beforePath || (fs.existsSync(cachePath) ? cachePath : `${FILE_CACHE_OUTPUT_DIR}/figmaFileContent.json`),
+      );
+      const after = afterPath ? readFigmaDump(afterPath) : await fetchFigmaFile({ forceUpdate: cmd.update });
+      const report = diffFigmaFiles(before, after, { iconsFrame: cmd.frame });
+      console.log(formatDiffReport(report).trimEnd());
+      if (cmd.json) {
+        fs.writeFileSync(cmd.json, JSON.stringify(report, null, 2) + '\n');
+        console.log(`Diff report saved to: ${cmd.json}`);
+      }
+      if (cmd.markdown) {
+        fs.writeFileSync(cmd.markdown, formatDiffReport(report, true));
+        console.log(`Diff report saved to: ${cmd.markdown}`);
+      }
+    }),
+  );
+
+// Fingerprints of the file parts every export depends on, an export is re-run only when its fingerprint changes
+function exportFingerprints(fileData, { iconsFrames = [ICONS_SPRITE], markupFrames = [] } = {}) {
+  function findNodes(node, name, acc = []) {
+    if (node.name === name) acc.push(node);
+    for (const child of node.children || []) {
+      findNodes(child, name, acc);
+    }
+    return acc;
+  }
+  function exportableHashes(node, acc = []) {
+    if (node.visible === false) return acc;
+    if (node.exportSettings && node.exportSettings.length > 0) {
+      acc.push([node.id, hashNode(node)]);
+    }
+    for (const child of node.children || []) {
+      exportableHashes(child, acc);
+    }
+    return acc;
+  }
+  const hashNodes = (nodes) => nodes.map((node) => hashNode(node)).join(',');
+  const variableIds = {};
+  const variables = extractVariables(fileData.document, variableIds);
+  const fingerprints = {
+    variables: JSON.stringify([variables, variableIds]),
+    icons: iconsFrames.map((frame) => hashNodes(findNodes(fileData.document, frame))).join(';'),
+    images: JSON.stringify(exportableHashes(fileData.document)),
+  };
+  for (const frame of markupFrames) {
+    fingerprints[`markup:${frame}`] = hashNodes(findNodes(fileData.document, frame));
+  }
+  return fingerprints;
+}
+
+program
+  .command('watch')
+  .description('Poll Figma file version and re-run exports affected by the changes')
+  .option('-i, --interval <seconds>', 'Polling interval in seconds (default: 30)', parseFloat)
+  .option('-e, --exports <list>', 'Comma separated exports to re-run: variables, icons, images (default: all of them)')
+  .option('-m, --markup <frames>', 'Comma separated frame names to convert with figma-markup on changes')
+  .action(
+    cliAction(async (cmd) => {
+      const interval = (cmd.interval || 30) * 1000;
+      const exports = (cmd.exports || 'variables,icons,images').split(',').map((item) => item.trim());
+      const markupFrames = cmd.markup ? cmd.markup.split(',').map((item) => item.trim()) : [];
+      for (const command of exports) {
+        if (!['variables', 'icons', 'images'].includes(command)) {
+          throw new Error(`unknown export '${command}', expected 'variables', 'icons' or 'images'`);
         }
-        const nodeId = node.id;
-        if (!nodeId || typeof nodeId !== 'string') {
-          console.warn(`Invalid nodeId for node: ${node.name}`);
-          continue;
+      }
+      // Export settings come from the config source if there is one, so outputs match the ones of the all command
+      function commandOptions(command) {
+        const options = projectConfig ? [].concat(currentSource.commands[command] || {}) : [{}];
+        return options.map((item) => (typeof item === 'object' ? item : {}));
+      }
+      async function runExport(command) {
+        if (command.startsWith('markup:')) {
+          // Markup settings of the config source are used the same way figma-markup --source does
+          const [markupOptions] = commandOptions('markup');
+          exportMarkup({
+            ...markupOptions,
+            frame: command.slice('markup:'.length),
+            fileData: fileDataCache,
+            cacheDir: FILE_CACHE_OUTPUT_DIR,
+            output: markupOptions.output || (projectConfig && currentSource.componentsDir) || undefined,
+          });
+          return;
         }
-        // Check supported formats
-        if (!['svg', 'png', 'jpg', 'pdf'].includes(format)) {
-          console.warn(`Unsupported format '${format}' for node: ${node.name} (${nodeId}). Skipped.`);
-          continue;
+        for (const options of commandOptions(command)) {
+          await EXPORT_COMMANDS[command](options);
         }
-        // Request to Figma API
+      }
+
+      useSingleSource();
+      const fingerprintOptions = {
+        iconsFrames: commandOptions('icons').map((options) => options.frame || ICONS_SPRITE),
+        markupFrames,
+      };
+      const watched = [...exports, ...markupFrames.map((frame) => `markup:${frame}`)];
+      const cachePath = `${FILE_CACHE_OUTPUT_DIR}/figmaFileContent.v8`;
+      const meta = readCacheMeta(`${FILE_CACHE_OUTPUT_DIR}/figmaFileContent.meta.json`);
+      let version = meta && meta.version;
+      let fingerprints = fs.existsSync(cachePath)
+        ? exportFingerprints(readFigmaDump(cachePath), fingerprintOptions)
+        : {};
+      console.log(
+        `[figma-export-tool] Watching Figma file for changes every ${interval / 1000}s (${watched.join(', ')}), press Ctrl+C to stop`,
+      );
+      for (;;) {
         try {
-          const imageUrlResp = await axios.get(`${FIGMA_API_URL}/v1/images/${FIGMA_FILE_ID}`, {
-            headers: { 'X-Figma-Token': FIGMA_API_TOKEN },
-            params: {
-              ids: nodeId,
-              format,
-              scale,
-            },
-          });
-          const imageUrl = imageUrlResp.data.images[nodeId];
-          if (!imageUrl) {
-            console.warn(`No image URL for node ${node.name} (${nodeId}) [format: ${format}, scale: ${scale}]`);
-            continue;
+          fileVersionCache = null;
+          const current = await fetchFileVersion();
+          if (current.version !== version) {
+            console.log(`[figma-export-tool] Figma file has changed (version ${version} -> ${current.version})`);
+            fileDataCache = null;
+            const fileData = await fetchFigmaFile({ forceUpdate: true });
+            const nextFingerprints = exportFingerprints(fileData, fingerprintOptions);
+            // Variables REST API data is not part of the file dump, so it is refreshed on every version change
+            if (commandOptions('variables').some((options) => options.source === 'api')) {
+              nextFingerprints.variables = current.version;
+            }
+            const affected = watched.filter((command) => nextFingerprints[command] !== fingerprints[command]);
+            if (affected.length === 0) {
+              console.log('[figma-export-tool] No watched outputs are affected');
+            }
+            for (const command of affected) {
+              await runExport(command);
+            }
+            version = current.version;
+            fingerprints = nextFingerprints;
           }
-          // Download image
-          const imageResp = await axios.get(imageUrl, {
-            responseType: 'arraybuffer',
-          });
-          // Form file name
-          const baseName = sanitize(node.name, '_');
-          const fileName = `${baseName}${suffix ? suffix : ''}.${format}`;
-          const filePath = `${output}/${fileName}`;
-          fs.writeFileSync(filePath, Buffer.from(imageResp.data));
-          console.log(`Exported: ${filePath}`);
-        } catch (err) {
-          console.error(
-            `Error exporting node '${node.name}' (${nodeId}):`,
-            err.response ? err.response.data : err.message,
-          );
+        } catch (error) {
+          console.warn('[figma-export-tool] Warning: Failed to update exports, will retry.', error.message);
         }
+        await sleep(interval);
       }
+    }),
+  );
+
+// Lint rules with default levels: 'error' fails the lint command, 'warn' is only reported, 'off' disables the rule
+const LINT_RULES = {
+  'variable-name': { level: 'error', description: 'Palette and typekit variable names are not empty and unique' },
+  'palette-theme': { level: 'error', description: 'Palette rows have a color in every theme column' },
+  'icon-position': { level: 'error', description: 'Sprite icons are placed on whole pixels' },
+  'icon-name': { level: 'error', description: 'Sprite icon names are not empty and unique' },
+  'hardcoded-color': { level: 'warn', description: 'Colors matching a palette value are bound to variables' },
+  'export-format': { level: 'error', description: 'Export settings use formats supported by Figma API' },
+};
+
+const SUPPORTED_EXPORT_FORMATS = ['png', 'jpg', 'svg', 'pdf'];
+
+/**
+ * Checks Figma file against naming and token conventions
+ * @param {Object} fileData - Figma file data
+ * @param {{ iconsFrame?: string, rules?: Object }} options - Icons sprite frame name and levels overriding the defaults
+ * @returns {Object[]} Problems with rule, level, message, node id and name
+ */
+function lintFigmaDocument(fileData, { iconsFrame = ICONS_SPRITE, rules = {} } = {}) {
+  for (const [rule, level] of Object.entries(rules)) {
+    if (!LINT_RULES[rule]) {
+      throw new Error(`Unknown lint rule '${rule}', expected one of: ${Object.keys(LINT_RULES).join(', ')}`);
     }
-  } catch (error) {
-    console.error('Error:', error.message);
-    process.exit(1);
+    if (!['error', 'warn', 'off'].includes(level)) {
+      throw new Error(`Invalid level '${level}' of lint rule '${rule}', expected 'error', 'warn' or 'off'`);
+    }
+  }
+  const problems = [];
+  function report(rule, node, message) {
+    const level = rules[rule] || LINT_RULES[rule].level;
+    if (level !== 'off') {
+      problems.push({ rule, level, message, nodeId: node.id, nodeName: node.name });
+    }
+  }
+  // Visits visible nodes, children are skipped when visit returns false
+  function walk(node, visit) {
+    if (node.visible === false || visit(node) === false) return;
+    for (const child of node.children || []) {
+      walk(child, visit);
+    }
+  }
+  function findFirst(node, match) {
+    let found = null;
+    walk(node, (item) => {
+      if (found) return false;
+      if (match(item)) found = item;
+    });
+    return found;
+  }
+  const isVariableRow = (node) =>
+    node.type === 'INSTANCE' && (node.name === 'Palette row' || node.name === 'Typekit row');
+  const isNameText = (node) => node.type === 'TEXT' && node.name === 'variable name';
+  const paintHex = (paint) => colorToHex(paint.color, paint.opacity !== undefined ? paint.opacity : 1);
+
+  // Variable rows: unique names, palette colors in every theme column
+  const rows = [];
+  walk(fileData.document, (node) => {
+    if (isVariableRow(node)) {
+      rows.push(node);
+      return false;
+    }
+  });
+  const names = { palette: {}, typekit: {} };
+  const paletteColors = {};
+  for (const row of rows) {
+    const kind = row.name === 'Palette row' ? 'palette' : 'typekit';
+    const nameNode = findFirst(row, isNameText);
+    const name = nameNode && nameNode.characters ? sanitize(nameNode.characters, '-') : '';
+    if (!name) {
+      report('variable-name', row, `Empty ${kind} variable name`);
+    } else if (names[kind][name]) {
+      report('variable-name', row, `Duplicate ${kind} variable name '${name}' (also in node ${names[kind][name].id})`);
+    } else {
+      names[kind][name] = row;
+    }
+    if (kind !== 'palette') continue;
+    for (const column of row.children || []) {
+      if (column.visible === false || findFirst(column, isNameText)) continue;
+      const valueNode = findFirst(
+        column,
+        (node) =>
+          node.name === 'value' &&
+          (node.fills || []).some((paint) => paint.visible !== false && (paint.color || paint.gradientStops)),
+      );
+      if (!valueNode) {
+        report(
+          'palette-theme',
+          row,
+          `Palette variable '${name}' has empty theme column '${sanitize(column.name, '-')}'`,
+        );
+      } else if (name && valueNode.fills.length === 1 && valueNode.fills[0].color) {
+        const hex = paintHex(valueNode.fills[0]);
+        paletteColors[hex] = paletteColors[hex] || name;
+      }
+    }
+  }
+
+  // Sprite icons: unique names, whole pixel positions relative to the sprite frame
+  const iconsSprite = findFirst(fileData.document, (node) => node.name === iconsFrame);
+  if (iconsSprite && iconsSprite.children) {
+    const spriteBox = iconsSprite.absoluteBoundingBox || { x: 0, y: 0 };
+    const icons = {};
+    for (const icon of iconsSprite.children) {
+      const name = sanitize(icon.name, '_');
+      if (!name) {
+        report('icon-name', icon, `Empty icon name '${icon.name}'`);
+      } else if (icons[name]) {
+        report('icon-name', icon, `Duplicate icon name '${name}' (also in node ${icons[name].id})`);
+      } else {
+        icons[name] = icon;
+      }
+      const box = icon.absoluteBoundingBox;
+      if (!box) continue;
+      const x = box.x - spriteBox.x;
+      const y = box.y - spriteBox.y;
+      // Float errors of Figma coordinates are tolerated
+      if (Math.abs(x - Math.round(x)) > 0.001 || Math.abs(y - Math.round(y)) > 0.001) {
+        report('icon-position', icon, `Icon '${name}' has non-integer position ${+x.toFixed(2)}, ${+y.toFixed(2)}`);
+      }
+    }
+  }
+
+  // Other nodes: hardcoded palette colors and export formats. Icons get currentColor, so the sprite is not checked
+  walk(fileData.document, (node) => {
+    if (isVariableRow(node)) return false;
+    for (const setting of node.exportSettings || []) {
+      if (!SUPPORTED_EXPORT_FORMATS.includes((setting.format || 'png').toLowerCase())) {
+        report('export-format', node, `Unsupported export format '${setting.format}'`);
+      }
+    }
+    if (node === iconsSprite) return false;
+    for (const property of ['fills', 'strokes']) {
+      const bound = node.boundVariables && node.boundVariables[property];
+      (Array.isArray(node[property]) ? node[property] : []).forEach((paint, index) => {
+        if (paint.type !== 'SOLID' || paint.visible === false || !paint.color) return;
+        if ((paint.boundVariables && paint.boundVariables.color) || (Array.isArray(bound) ? bound[index] : bound))
+          return;
+        const hex = paintHex(paint);
+        if (paletteColors[hex]) {
+          const kind = property === 'fills' ? 'fill' : 'stroke';
+          report('hardcoded-color', node, `Hardcoded ${kind} ${hex} matches palette variable '${paletteColors[hex]}'`);
+        }
+      });
+    }
+  });
+  return problems;
+}
+
+// Lint the cached Figma file (downloaded if there is no up-to-date cache)
+async function lintFigmaFile({ frame = ICONS_SPRITE, rules = {}, forceUpdate = false, offline = false } = {}) {
+  console.log('Linting Figma file...');
+  const fileData = await fetchFigmaFile({ forceUpdate, offline });
+  const problems = lintFigmaDocument(fileData, { iconsFrame: frame, rules });
+  for (const problem of problems) {
+    console.log(
+      `${problem.level === 'error' ? 'error' : 'warning'}  ${problem.rule}  ${problem.message}  (node ${problem.nodeId} '${problem.nodeName}')`,
+    );
   }
+  const errors = problems.filter((problem) => problem.level === 'error').length;
+  console.log(`Lint problems: ${problems.length} (${errors} errors, ${problems.length - errors} warnings)`);
+  return { data: problems, files: [], errors, warnings: problems.length - errors };
+}
+
+// Parse "rule=level" pairs separated by commas
+function parseLintRules(value) {
+  return Object.fromEntries(
+    value
+      .split(',')
+      .filter((item) => item.trim())
+      .map((item) => item.split('=').map((part) => part.trim())),
+  );
 }
 
 program
-  .command('all')
-  .description('Run all export commands: content, variables, icons, images')
-  .action(async () => {
-    try {
-      await exportContent();
-      await exportVariables();
-      await exportIcons();
-      await exportImages();
-      console.log('All exports completed successfully.');
-    } catch (error) {
-      console.error('Error in all command:', error.message);
-      process.exit(1);
+  .command('lint')
+  .description('Check the Figma file against naming and token conventions, exits with non-zero code on errors')
+  .option('-f, --frame <name>', 'Icons sprite frame name')
+  .option('-r, --rules <list>', 'Comma separated rule levels, e.g. "hardcoded-color=error,icon-position=off"')
+  .option('--json <file>', 'Save the problems as JSON')
+  .option('--list-rules', 'List lint rules with their default levels')
+  .option('-u, --update', 'Force update from Figma API, ignore local cache')
+  .option('--offline', 'Use local cache only, never check Figma API for updates')
+  .action(
+    cliAction(async (cmd) => {
+      if (cmd.listRules) {
+        for (const [rule, { level, description }] of Object.entries(LINT_RULES)) {
+          console.log(`${rule} (${level}): ${description}`);
+        }
+        return;
+      }
+      const cliRules = cmd.rules ? parseLintRules(cmd.rules) : {};
+      // Rule levels from CLI are merged into the rules of the config source
+      const results = await runForSources(
+        'lint',
+        (options) => lintFigmaFile({ ...options, rules: { ...options.rules, ...cliRules } }),
+        { frame: cmd.frame, forceUpdate: cmd.update, offline: cmd.offline },
+      );
+      if (cmd.json) {
+        const problems = results.flatMap((result) => result.data);
+        fs.writeFileSync(cmd.json, JSON.stringify(problems, null, 2) + '\n');
+        console.log(`Lint report saved to: ${cmd.json}`);
+      }
+      if (results.some((result) => result.errors > 0)) {
+        process.exitCode = 1;
+      }
+    }),
+  );
+
+/**
+ * Builds the catalogue of components defined in the file: component sets with their variants and standalone components
+ * @param {Object} fileData - Figma file data with components and componentSets metadata
+ * @returns {Object[]} Components with location, description, variant axes, properties and instance count
+ */
+function collectComponentCatalogue(fileData) {
+  const componentsMeta = fileData.components || {};
+  const componentSetsMeta = fileData.componentSets || {};
+  const definitions = [];
+  const instanceCounts = {};
+  // Component set of every variant, instances of variants are counted for their set
+  const setOfComponent = {};
+
+  function traverse(node, location) {
+    if (node.type === 'COMPONENT_SET' || (node.type === 'COMPONENT' && !location.set)) {
+      definitions.push({ node, location });
+    }
+    if (node.type === 'COMPONENT' && location.set) {
+      setOfComponent[node.id] = location.set.id;
+    }
+    if (node.type === 'INSTANCE' && node.componentId) {
+      instanceCounts[node.componentId] = (instanceCounts[node.componentId] || 0) + 1;
+    }
+    const childLocation = {
+      page: node.type === 'CANVAS' ? node.name : location.page,
+      frame: location.page && !location.frame && node.type !== 'CANVAS' ? node.name : location.frame,
+      set: node.type === 'COMPONENT_SET' ? node : location.set,
+    };
+    for (const child of node.children || []) {
+      traverse(child, childLocation);
+    }
+  }
+  traverse(fileData.document, { page: null, frame: null, set: null });
+
+  for (const [componentId, count] of Object.entries(instanceCounts)) {
+    const setId = setOfComponent[componentId] || (componentsMeta[componentId] || {}).componentSetId;
+    if (setId) {
+      instanceCounts[setId] = (instanceCounts[setId] || 0) + count;
+    }
+  }
+
+  // Property names carry Figma id suffix (Label#12:0), it is dropped in the catalogue
+  const propertyName = (key) => key.replace(/#[^#]*$/, '');
+  return definitions.map(({ node, location }) => {
+    const isSet = node.type === 'COMPONENT_SET';
+    const meta = (isSet ? componentSetsMeta : componentsMeta)[node.id] || {};
+    const definitionsMap = node.componentPropertyDefinitions || {};
+    const variants = {};
+    const properties = {};
+    for (const [key, definition] of Object.entries(definitionsMap)) {
+      if (definition.type === 'VARIANT') {
+        variants[key] = definition.variantOptions || [];
+      } else {
+        properties[propertyName(key)] = {
+          type: definition.type,
+          defaultValue: definition.defaultValue,
+          ...(definition.preferredValues ? { preferredValues: definition.preferredValues } : {}),
+        };
+      }
+    }
+    // Older dumps have no property definitions, variant axes are parsed from names like "Size=S, State=Hover"
+    if (isSet && Object.keys(variants).length === 0) {
+      for (const variant of node.children || []) {
+        for (const pair of variant.name.split(',')) {
+          const [axis, value] = pair.split('=').map((part) => part.trim());
+          if (!axis || value === undefined) continue;
+          variants[axis] = variants[axis] || [];
+          if (!variants[axis].includes(value)) variants[axis].push(value);
+        }
+      }
     }
+    return {
+      id: node.id,
+      key: meta.key || node.key || null,
+      name: node.name,
+      type: isSet ? 'COMPONENT_SET' : 'COMPONENT',
+      description: meta.description || node.description || '',
+      page: location.page,
+      frame: location.frame,
+      variants,
+      variantCount: isSet ? (node.children || []).filter((child) => child.type === 'COMPONENT').length : 0,
+      properties,
+      instances: instanceCounts[node.id] || 0,
+    };
   });
+}
+
+// Render component catalogue as Markdown table
+function componentCatalogueToMarkdown(components) {
+  const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+  let result = '# Components\n\n';
+  result += '| Component | Location | Variants | Properties | Instances | Description |\n';
+  result += '| --- | --- | --- | --- | --- | --- |\n';
+  for (const component of components) {
+    const location = [component.page, component.frame].filter(Boolean).join(' / ');
+    const variants = Object.entries(component.variants)
+      .map(([axis, values]) => `${axis}: ${values.join(', ')}`)
+      .join('; ');
+    const properties = Object.entries(component.properties)
+      .map(([name, { type }]) => `${name} (${type})`)
+      .join(', ');
+    const cells = [component.name, location, variants, properties, component.instances, component.description];
+    result += `| ${cells.map(cell).join(' | ')} |\n`;
+  }
+  return result;
+}
+
+program
+  .command('components')
+  .description('Export the catalogue of components and component sets of the Figma file')
+  .option('-o, --output <dir>', 'Output directory')
+  .option('-n, --name <name>', 'Name of output file (default: "components")')
+  .option('--markdown', 'Also save the catalogue as a Markdown table')
+  .option('-u, --update', 'Force update from Figma API, ignore local cache')
+  .option('--offline', 'Use local cache only, never check Figma API for updates')
+  .action(
+    cliAction(async (cmd) => {
+      await runForSources('components', exportComponents, {
+        output: cmd.output,
+        name: cmd.name,
+        markdown: cmd.markdown,
+        forceUpdate: cmd.update,
+        offline: cmd.offline,
+      });
+    }),
+  );
+
+async function exportComponents({
+  output = FILE_CACHE_OUTPUT_DIR,
+  name = 'components',
+  markdown = false,
+  forceUpdate = false,
+  offline = false,
+} = {}) {
+  console.log('Exporting components...');
+  const fileData = await fetchFigmaFile({ forceUpdate, offline });
+  const components = collectComponentCatalogue(fileData);
+  if (!fs.existsSync(output)) {
+    fs.mkdirSync(output, { recursive: true });
+  }
+  const files = [`${output}/${name}.json`];
+  fs.writeFileSync(files[0], JSON.stringify({ components }, null, 2) + '\n');
+  if (markdown) {
+    files.push(`${output}/${name}.md`);
+    fs.writeFileSync(files[1], componentCatalogueToMarkdown(components));
+  }
+  const sets = components.filter((component) => component.type === 'COMPONENT_SET').length;
+  console.log(`Components: ${components.length} (${sets} component sets), saved to: ${files.join(', ')}`);
+  return { data: components, files };
+}
+
+// API calls switch module settings (token, file, cache directory, HTTP client) with useSource,
+// so they are queued and run one at a time in call order, even if started concurrently
+let apiQueue = Promise.resolve();
+
+// API functions take file settings explicitly, values missing in options fall back to .env
+function withSettings(fn) {
+  const run = async ({
+    token,
+    url,
+    fileKey,
+    cacheDir,
+    imagesDir,
+    stylesDir,
+    iconsSprite,
+    apiUrl,
+    proxy,
+    timeout,
+    record,
+    replay,
+    scopeNode,
+    ...options
+  } = {}) => {
+    // Retries are used by the HTTP client and passed to the function as well
+    const http = { apiUrl, proxy, timeout, retries: options.retries, record, replay };
+    const settings = { token, url, fileKey, cacheDir, imagesDir, stylesDir, iconsSprite, scopeNode, ...http };
+    if (!currentSource || JSON.stringify(currentSource) !== JSON.stringify(settings)) {
+      useSource(settings);
+    }
+    return fn(options);
+  };
+  return (options) => {
+    const result = apiQueue.then(() => run(options));
+    apiQueue = result.catch(() => {});
+    return result;
+  };
+}
+
+if (require.main === module) {
+  program.parse(process.argv);
+}
 
-program.parse(process.argv);
+module.exports = {
+  fetchFigmaFile: withSettings(fetchFigmaFile),
+  exportVariables: withSettings(exportVariables),
+  exportIcons: withSettings(exportIcons),
+  exportImages: withSettings(exportImages),
+  lintFigmaFile: withSettings(lintFigmaFile),
+  exportComponents: withSettings(exportComponents),
+};
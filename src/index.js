@@ -0,0 +1,20 @@
+const {
+  fetchFigmaFile,
+  exportVariables,
+  exportIcons,
+  exportImages,
+  lintFigmaFile,
+  exportComponents,
+} = require('./figma-export');
+const { convertFigmaToMarkup, exportMarkup } = require('./markup');
+
+module.exports = {
+  fetchFigmaFile,
+  exportVariables,
+  exportIcons,
+  exportImages,
+  lintFigmaFile,
+  exportComponents,
+  convertFigmaToMarkup,
+  exportMarkup,
+};
@@ -9,9 +9,14 @@ const { Command } = require('commander');
 const fs = require('fs');
 const path = require('path');
 const v8 = require('v8');
+const { loadConfig } = require('./config');
+// Icon names are built the same way icons export does, so name props match the IconName type of the Icon component
+const { sanitize: sanitizeName } = require('./sanitize');
 
 const FILE_CACHE_OUTPUT_DIR = process.env.FILE_CACHE_OUTPUT_DIR || './output';
 const COMPONENTS_OUTPUT_DIR = process.env.COMPONENTS_OUTPUT_DIR || './output/components';
+// Variable ids may come from several config sources (e.g. a separate tokens file)
+let variableIdPaths = [path.join(FILE_CACHE_OUTPUT_DIR, 'variableIds.json')];
 
 // Helper to sanitize class and file names
 function sanitize(name) {
@@ -29,10 +34,12 @@ function sanitize(name) {
 function convertFigmaToMarkup(figmaNode, rootClassOverride, figmaDocument, componentsMap = {}, componentSetsMap = {}) {
   // Load variableIds.json if present
   let variableIdMap = {};
-  try {
-    variableIdMap = JSON.parse(fs.readFileSync(path.join(FILE_CACHE_OUTPUT_DIR, 'variableIds.json'), 'utf-8'));
-  } catch (e) {
-    // ignore if not found
+  for (const variableIdPath of variableIdPaths) {
+    try {
+      Object.assign(variableIdMap, JSON.parse(fs.readFileSync(variableIdPath, 'utf-8')));
+    } catch (e) {
+      // ignore if not found
+    }
   }
 
   // Helper to convert a string to PascalCase for component names
@@ -177,7 +184,7 @@ function convertFigmaToMarkup(figmaNode, rootClassOverride, figmaDocument, compo
       const masterComponent = findMasterComponent(node);
       if (masterComponent && isIconComponent(masterComponent)) {
         // Render as <Icon name="nodeName" />
-        return `${indentStr}<Icon className={styles.${nodeClass}} name=\"${sanitize(masterComponent.name)}\" />`;
+        return `${indentStr}<Icon className={styles.${nodeClass}} name=\"${sanitizeName(masterComponent.name, '_')}\" />`;
       }
       const componentName = toPascalCase(node.name);
       // Convert componentProperties to JSX props
@@ -821,6 +828,159 @@ function convertFigmaToMarkup(figmaNode, rootClassOverride, figmaDocument, compo
   };
 }
 
+// Read Figma file data saved by figma-export: binary cache (.v8) or JSON
+function readFigmaData(input) {
+  if (fs.existsSync(input + '.v8')) {
+    console.log('Reading Figma file data from binary cache...');
+    return v8.deserialize(fs.readFileSync(input + '.v8'));
+  }
+  if (fs.existsSync(input + '.json')) {
+    console.log('Reading Figma file data from JSON cache...');
+    return JSON.parse(fs.readFileSync(input + '.json', 'utf-8'));
+  }
+  throw new Error(`Input file not found: ${input}`);
+}
+
+// Fetch file data with the frame subtree through figma-export (nodes endpoint), settings fall back to .env.
+// Master components of its instances (icons, nested components) are fetched with their parent frames too.
+async function fetchFrame(frame, cacheDir, source = {}) {
+  // Required here as figma-export requires this module
+  const { fetchFigmaFile } = require('./figma-export');
+  const { token, url, fileKey, apiUrl, proxy, timeout, retries } = source;
+  return fetchFigmaFile({
+    token,
+    url,
+    fileKey,
+    apiUrl,
+    proxy,
+    timeout,
+    retries,
+    cacheDir,
+    frames: [frame],
+    masterComponents: true,
+  });
+}
+
+// Recursively find all nodes by name
+function findAllNodesByName(node, name, acc = []) {
+  if (node.name === name) acc.push(node);
+  if (node.children) {
+    for (const child of node.children) {
+      findAllNodesByName(child, name, acc);
+    }
+  }
+  return acc;
+}
+
+/**
+ * Converts a Figma frame, component or variant to React JSX and SCSS (or CSS) files
+ * @param {Object} options
+ * @param {string} options.frame - Frame or node name in the Figma file structure
+ * @param {Object} [options.node] - Node to convert when several nodes share the frame name
+ * @param {Object} [options.fileData] - Figma file data, read from the cache in `cacheDir` or `input` if omitted
+ * @param {string} [options.cacheDir] - Directory with figma-export cache and variableIds.json
+ * @param {string} [options.input] - Path to Figma data file without extension
+ * @param {string} [options.output] - Output directory
+ * @param {string} [options.name] - Component name to use as root class
+ * @param {string} [options.variant] - Variant node name inside the component frame
+ * @param {boolean} [options.json] - Also save the selected Figma node as a JSON file
+ * @param {boolean} [options.recursive] - Process all components recursively
+ * @param {boolean} [options.css] - Render CSS instead of SCSS
+ * @returns {{ data: Object[], files: string[] }} Generated markup of every component and written file paths
+ */
+function exportMarkup({
+  frame,
+  node,
+  fileData,
+  cacheDir,
+  input = `${cacheDir || FILE_CACHE_OUTPUT_DIR}/figmaFileContent`,
+  output = COMPONENTS_OUTPUT_DIR,
+  name,
+  variant,
+  json = false,
+  recursive = false,
+  css = false,
+} = {}) {
+  if (cacheDir) {
+    variableIdPaths = [path.join(cacheDir, 'variableIds.json')];
+  }
+  const figmaData = fileData || readFigmaData(input);
+  let targetNode = node;
+  if (!targetNode) {
+    const foundNodes = findAllNodesByName(figmaData.document, frame);
+    if (foundNodes.length === 0) {
+      throw new Error(`Frame or node named '${frame}' not found in the Figma file.`);
+    }
+    if (foundNodes.length > 1) {
+      throw new Error(`Found multiple nodes named '${frame}', pass the node to convert explicitly.`);
+    }
+    targetNode = foundNodes[0];
+  }
+  function findVariantNode(frameNode, variantName) {
+    if (!frameNode.children) return null;
+    for (const child of frameNode.children) {
+      if (child.name === variantName) return child;
+    }
+    return null;
+  }
+  const data = [];
+  const files = [];
+  function proceedWithNode(targetNode, recursive = false, componentNameOverride = null) {
+    let nodeForExport = targetNode;
+    if (variant) {
+      const variantNode = findVariantNode(targetNode, variant);
+      if (!variantNode) {
+        throw new Error(`Variant node named '${variant}' not found inside frame '${frame}'.`);
+      }
+      nodeForExport = variantNode;
+    }
+    // Use provided componentNameOverride or fallback to rootClass logic
+    const rootClass = componentNameOverride ? componentNameOverride : name ? name : variant ? variant : frame;
+    const {
+      jsx,
+      css: cssCode,
+      scss,
+      encounteredComponents,
+    } = convertFigmaToMarkup(
+      nodeForExport,
+      rootClass,
+      figmaData.document,
+      figmaData.components || {},
+      figmaData.componentSets || {},
+    );
+    data.push({ name: rootClass, jsx, css: cssCode, scss });
+    if (!fs.existsSync(output)) {
+      fs.mkdirSync(output, { recursive: true });
+    }
+    const writeFile = (fileName, content) => {
+      const filePath = path.join(output, fileName);
+      fs.writeFileSync(filePath, content);
+      files.push(filePath);
+    };
+    writeFile(`/${rootClass}.jsx`, jsx);
+    if (css) {
+      writeFile(`/${rootClass}.css`, cssCode);
+    } else {
+      writeFile(`/${rootClass}.scss`, scss);
+    }
+    if (json) {
+      writeFile(`/${rootClass}.json`, JSON.stringify(nodeForExport, null, 2));
+    }
+    console.log(`'${rootClass}' exported to ${output}`);
+    if (recursive) {
+      for (const { node: component, name: compName } of encounteredComponents) {
+        if (component && component !== nodeForExport) {
+          // Use sanitized component.name as file name for recursive components
+          const sanitizedName = sanitize(compName);
+          proceedWithNode(component, recursive, sanitizedName);
+        }
+      }
+    }
+  }
+  proceedWithNode(targetNode, recursive, name ? name : variant ? variant : frame);
+  return { data, files };
+}
+
 const program = new Command();
 
 program.name('markup').description('Convert a part of a Figma file structure to HTML and CSS').version('1.0.0');
@@ -834,108 +994,75 @@ program
   .option('-j, --json', 'Also save the selected Figma node as a JSON file')
   .option('-r, --recursive', 'Process all components recursively')
   .option('-c, --css', 'Render CSS styles (instead of SCSS)')
-  .action((options) => {
-    const { frame, input, output, name, json, variant, recursive, css } = options;
-
-    let figmaData;
-    if (fs.existsSync(input + '.v8')) {
-      console.log('Reading Figma file data from binary cache...');
-      const buf = fs.readFileSync(input + '.v8');
-      figmaData = v8.deserialize(buf);
-    } else if (fs.existsSync(input + '.json')) {
-      console.log('Reading Figma file data from JSON cache...');
-      figmaData = JSON.parse(fs.readFileSync(input + '.json', 'utf-8'));
-    } else {
-      console.error(`Input file not found: ${input}`);
-      process.exit(1);
-    }
-    // Recursively find all nodes by name
-    function findAllNodesByName(node, name, acc = []) {
-      if (node.name === name) acc.push(node);
-      if (node.children) {
-        for (const child of node.children) {
-          findAllNodesByName(child, name, acc);
-        }
+  .option('--config <path>', 'Path to project config file (default: figma-export.config.js or .json)')
+  .option('-s, --source <name>', 'Source name from project config to read the Figma file cache from')
+  .option('--fetch', 'Fetch the frame from Figma API, only its subtree if it is a page or top-level frame')
+  .action(async (options) => {
+    const { frame, name, json, variant, recursive } = options;
+    let { input, output, css } = options;
+    let source;
+
+    // Project config source provides cache location and markup defaults, CLI options override them
+    if (options.source || options.config) {
+      let projectConfig;
+      try {
+        projectConfig = loadConfig(options.config);
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
       }
-      return acc;
-    }
-    function findVariantNode(frameNode, variantName) {
-      if (!frameNode.children) return null;
-      for (const child of frameNode.children) {
-        if (child.name === variantName) return child;
+      source = projectConfig && projectConfig.sources.find((item) => item.name === options.source);
+      if (options.source && !source) {
+        console.error(`Source '${options.source}' not found in project config.`);
+        process.exit(1);
       }
-      return null;
-    }
-    const foundNodes = findAllNodesByName(figmaData.document, frame);
-    if (foundNodes.length === 0) {
-      console.error(`Frame or node named '${frame}' not found in the Figma file.`);
-      process.exit(1);
-    }
-    // Build parent map (id -> parentNode) to derive context paths for nodes
-    function buildParentMapLocal(node, parent = null, map = new Map()) {
-      if (node && node.id) map.set(node.id, parent);
-      if (node && node.children && node.children.length > 0) {
-        for (const child of node.children) {
-          buildParentMapLocal(child, node, map);
+      if (projectConfig) {
+        variableIdPaths = projectConfig.sources.map((item) => path.join(item.cacheDir, 'variableIds.json'));
+      }
+      if (source) {
+        const markupOptions = typeof source.commands.markup === 'object' ? source.commands.markup : {};
+        if (program.getOptionValueSource('input') === 'default') {
+          input = `${source.cacheDir}/figmaFileContent`;
+        }
+        if (program.getOptionValueSource('output') === 'default') {
+          output = markupOptions.output || source.componentsDir || output;
+        }
+        if (css === undefined) {
+          css = markupOptions.css;
         }
       }
-      return map;
     }
-    const parentMapLocal = buildParentMapLocal(figmaData.document);
-    function getParentPath(node) {
-      const names = [];
-      let current = parentMapLocal.get(node.id);
-      while (current && current.name != 'Document') {
-        names.push(current.name || current.type || 'Unnamed');
-        current = current.id ? parentMapLocal.get(current.id) : null;
+
+    // Without the file cache the frame is fetched from Figma API
+    const fromApi = options.fetch || !(fs.existsSync(input + '.v8') || fs.existsSync(input + '.json'));
+    try {
+      const fileData = fromApi ? await fetchFrame(frame, path.dirname(input), source) : readFigmaData(input);
+      const options = { fileData, frame, name, variant, json, recursive, css, output };
+      const foundNodes = findAllNodesByName(fileData.document, frame);
+      if (foundNodes.length <= 1) {
+        exportMarkup(options);
+        return;
       }
-      return names.reverse().join(' / ');
-    }
-    function proceedWithNode(targetNode, recursive = false, componentNameOverride = null) {
-      let nodeForExport = targetNode;
-      if (variant) {
-        const variantNode = findVariantNode(targetNode, variant);
-        if (!variantNode) {
-          console.error(`Variant node named '${variant}' not found inside frame '${frame}'.`);
-          process.exit(1);
-        }
-        nodeForExport = variantNode;
-      }
-      // Use provided componentNameOverride or fallback to rootClass logic
-      const rootClass = componentNameOverride ? componentNameOverride : name ? name : variant ? variant : frame;
-      const { jsx, css, scss, encounteredComponents } = convertFigmaToMarkup(
-        nodeForExport,
-        rootClass,
-        figmaData.document,
-        figmaData.components || {},
-        figmaData.componentSets || {},
-      );
-      if (!fs.existsSync(output)) {
-        fs.mkdirSync(output, { recursive: true });
-      }
-      fs.writeFileSync(path.join(output, `/${rootClass}.jsx`), jsx);
-      if (css) {
-        fs.writeFileSync(path.join(output, `/${rootClass}.css`), css);
-      } else {
-        fs.writeFileSync(path.join(output, `/${rootClass}.scss`), scss);
-      }
-      if (json) {
-        fs.writeFileSync(path.join(output, `/${rootClass}.json`), JSON.stringify(nodeForExport, null, 2));
-      }
-      console.log(`'${rootClass}' exported to ${output}`);
-      if (recursive) {
-        for (const { node: component, name: compName } of encounteredComponents) {
-          if (component && component !== nodeForExport) {
-            // Use sanitized component.name as file name for recursive components
-            const sanitizedName = sanitize(compName);
-            proceedWithNode(component, recursive, sanitizedName);
+      // Build parent map (id -> parentNode) to derive context paths for nodes
+      function buildParentMapLocal(node, parent = null, map = new Map()) {
+        if (node && node.id) map.set(node.id, parent);
+        if (node && node.children && node.children.length > 0) {
+          for (const child of node.children) {
+            buildParentMapLocal(child, node, map);
           }
         }
+        return map;
+      }
+      const parentMapLocal = buildParentMapLocal(fileData.document);
+      function getParentPath(node) {
+        const names = [];
+        let current = parentMapLocal.get(node.id);
+        while (current && current.name != 'Document') {
+          names.push(current.name || current.type || 'Unnamed');
+          current = current.id ? parentMapLocal.get(current.id) : null;
+        }
+        return names.reverse().join(' / ');
       }
-    }
-    if (foundNodes.length === 1) {
-      proceedWithNode(foundNodes[0], recursive, name ? name : variant ? variant : frame);
-    } else {
       // Multiple nodes — output list and ask user
       console.log(`Found multiple nodes named '${frame}':`);
       foundNodes.forEach((node, idx) => {
@@ -949,19 +1076,30 @@ program
       });
       rl.question('Enter the number of the node to use: ', (answer) => {
         const num = parseInt(answer, 10);
+        rl.close();
         if (!num || num < 1 || num > foundNodes.length) {
           console.error('Invalid selection. Exiting.');
-          rl.close();
           process.exit(1);
         }
-        rl.close();
-        proceedWithNode(foundNodes[num - 1], recursive, name ? name : variant ? variant : frame);
+        try {
+          exportMarkup({ ...options, node: foundNodes[num - 1] });
+        } catch (error) {
+          console.error(error.message);
+          process.exit(1);
+        }
       });
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
     }
   });
 
-program.parse(process.argv);
-
+// Exports are set before parsing, the CLI may require figma-export which requires this module
 module.exports = {
   convertFigmaToMarkup,
+  exportMarkup,
 };
+
+if (require.main === module) {
+  program.parse(process.argv);
+}
@@ -0,0 +1,13 @@
+// Universal function to sanitize a name with any separator.
+// Shared by figma-export and figma-markup, so icon names of the sprite match name props of generated markup.
+function sanitize(name, sep) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[ \/\\#&,+()$~%.'":*?<>{}-]/g, sep) // All special characters and hyphens replaced with sep
+    .replace(new RegExp(sep + '+', 'g'), sep) // Multiple sep replaced with one
+    .replace(new RegExp('^' + sep + '|' + sep + '$', 'g'), ''); // Removing sep at the beginning and end
+}
+
+module.exports = {
+  sanitize,
+};